@@ -1,6 +1,10 @@
 import Ember from 'ember-metal/core'; // Ember.assert
 import emberKeys from "ember-metal/keys";
 import dictionary from 'ember-metal/dictionary';
+import { indexOf } from 'ember-metal/array';
+import InjectedProperty from 'ember-metal/injected_property';
+
+var hasOwnProp = Object.prototype.hasOwnProperty;
 
 // A lightweight container that helps to assemble and decouple components.
 // Public api for the container is still in flux.
@@ -24,6 +28,14 @@ function Container(parent) {
 
   this._options     = dictionary(parent ? parent._options : null);
   this._typeOptions = dictionary(parent ? parent._typeOptions : null);
+
+  if (Ember.FEATURES.isEnabled('container-decorators')) {
+    this.decorators = dictionary(null);
+  }
+
+  if (Ember.FEATURES.isEnabled('container-dependency-graph')) {
+    this._instantiating = [];
+  }
 }
 
 Container.prototype = {
@@ -241,6 +253,10 @@ Container.prototype = {
     @return {string} normalized fullName
   */
   normalizeFullName: function(fullName) {
+    if (Ember.FEATURES.isEnabled('container-namespaced-lookups')) {
+      return normalizeNamespace(fullName);
+    }
+
     return fullName;
   },
 
@@ -321,7 +337,7 @@ Container.prototype = {
   */
   lookupFactory: function(fullName) {
     Ember.assert('fullName must be a proper full name', validateFullName(fullName));
-    return factoryFor(this, this.normalize(fullName));
+    return lookupFactory(this, this.normalize(fullName));
   },
 
   /**
@@ -413,13 +429,14 @@ Container.prototype = {
     @param {String} type
     @param {String} property
     @param {String} fullName
+    @param {Object} options
   */
-  typeInjection: function(type, property, fullName) {
+  typeInjection: function(type, property, fullName, options) {
     Ember.assert('fullName must be a proper full name', validateFullName(fullName));
 
     if (this.parent) { illegalChildOperation('typeInjection'); }
 
-    var fullNameType = fullName.split(':')[0];
+    var fullNameType = typeOfFullName(fullName);
     if (fullNameType === type) {
       throw new Error('Cannot inject a `' + fullName +
                       '` on other ' + type +
@@ -427,7 +444,7 @@ Container.prototype = {
                       '` as a different type and perform the typeInjection.');
     }
 
-    addTypeInjection(this.typeInjections, type, property, fullName);
+    addTypeInjection(this.typeInjections, type, property, fullName, options);
   },
 
   /**
@@ -469,19 +486,35 @@ Container.prototype = {
     user.source === post.source; //=> true
     ```
 
+    Passing `{ lazy: true }` defers the lookup of the injected object until
+    the property is first retrieved with `get`, after which it is cached.
+    This allows expensive objects to be created on demand and two objects to
+    inject each other. Lazy injections are only possible on factories that
+    can be extended, all other factories receive their injections eagerly.
+
+    ```javascript
+    container.injection('service:a', 'b', 'service:b', { lazy: true });
+    container.injection('service:b', 'a', 'service:a');
+
+    var a = container.lookup('service:a');
+
+    a.get('b').get('a') === a; //=> true
+    ```
+
     @method injection
     @param {String} factoryName
     @param {String} property
     @param {String} injectionName
+    @param {Object} options
   */
-  injection: function(fullName, property, injectionName) {
+  injection: function(fullName, property, injectionName, options) {
     if (this.parent) { illegalChildOperation('injection'); }
 
     validateFullName(injectionName);
     var normalizedInjectionName = this.normalize(injectionName);
 
     if (fullName.indexOf(':') === -1) {
-      return this.typeInjection(fullName, property, normalizedInjectionName);
+      return this.typeInjection(fullName, property, normalizedInjectionName, options);
     }
 
     Ember.assert('fullName must be a proper full name', validateFullName(fullName));
@@ -494,7 +527,7 @@ Container.prototype = {
                       injectionName + "')");
     }
 
-    addInjection(initRules(this.injections, normalizedName), property, normalizedInjectionName);
+    addInjection(initRules(this.injections, normalizedName), property, normalizedInjectionName, options);
   },
 
 
@@ -611,16 +644,22 @@ Container.prototype = {
     @method destroy
   */
   destroy: function() {
-    for (var i = 0, length = this.children.length; i < length; i++) {
-      this.children[i].destroy();
-    }
+    var children = this.children;
 
     this.children = [];
 
+    for (var i = 0, length = children.length; i < length; i++) {
+      children[i].destroy();
+    }
+
     eachDestroyable(this, function(item) {
       item.destroy();
     });
 
+    if (this.parent) {
+      removeChild(this.parent, this);
+    }
+
     this.parent = undefined;
     this.isDestroyed = true;
   },
@@ -637,6 +676,483 @@ Container.prototype = {
   }
 };
 
+if (Ember.FEATURES.isEnabled('container-dependency-graph')) {
+  /**
+    Returns a serializable description of how the container is wired.
+
+    Every registered fullName, every fullName with injection rules and every
+    injected fullName becomes a node. Every injection rule that applies to a
+    node becomes an edge, type injections are expanded onto each known node of
+    that type. Injection cycles, which would otherwise only surface as a stack
+    overflow during `lookup`, are reported as the full path of names. Lazy
+    injections do not take part in cycles.
+
+    ```javascript
+    var container = new Container();
+
+    container.register('router:main', Router);
+    container.register('controller:post', PostController);
+    container.typeInjection('controller', 'router', 'router:main');
+
+    container.dependencyGraph();
+    // => {
+    //   nodes: [
+    //     { name: 'router:main', type: 'router', registered: true },
+    //     { name: 'controller:post', type: 'controller', registered: true }
+    //   ],
+    //   edges: [
+    //     { from: 'controller:post', to: 'router:main', property: 'router', kind: 'typeInjection', lazy: false }
+    //   ],
+    //   cycles: []
+    // }
+    ```
+
+    @method dependencyGraph
+    @return {Object} an object with `nodes`, `edges` and `cycles` arrays
+  */
+  Container.prototype.dependencyGraph = function() {
+    var nodes = [];
+    var edges = [];
+    var seen = dictionary(null);
+    var name, i, l;
+
+    function addNode(container, fullName) {
+      if (seen[fullName]) { return; }
+
+      seen[fullName] = true;
+      nodes.push({
+        name: fullName,
+        type: typeOfFullName(fullName),
+        registered: fullName in container.registry
+      });
+    }
+
+    function addEdges(fullName, injections, kind) {
+      if (!injections) { return; }
+
+      for (var i = 0, l = injections.length; i < l; i++) {
+        edges.push({
+          from: fullName,
+          to: injections[i].fullName,
+          property: injections[i].property,
+          kind: kind,
+          lazy: !!injections[i].lazy
+        });
+      }
+    }
+
+    for (name in this.registry) {
+      addNode(this, name);
+    }
+
+    for (name in this.injections) {
+      addNode(this, name);
+    }
+
+    for (name in this.factoryInjections) {
+      addNode(this, name);
+    }
+
+    var sources = nodes.slice();
+
+    for (i = 0, l = sources.length; i < l; i++) {
+      name = sources[i].name;
+
+      addEdges(name, this.typeInjections[sources[i].type], 'typeInjection');
+      addEdges(name, this.injections[name], 'injection');
+      addEdges(name, this.factoryTypeInjections[sources[i].type], 'factoryTypeInjection');
+      addEdges(name, this.factoryInjections[name], 'factoryInjection');
+    }
+
+    for (i = 0, l = edges.length; i < l; i++) {
+      addNode(this, edges[i].to);
+    }
+
+    return {
+      nodes: nodes,
+      edges: edges,
+      cycles: findCycles(nodes, edges)
+    };
+  };
+}
+
+if (Ember.FEATURES.isEnabled('container-scopes')) {
+  /**
+    The name of the scope this container represents, if it was created with
+    `createScope`.
+
+    @property scope
+    @type String
+    @default null
+  */
+  Container.prototype.scope = null;
+
+  /**
+    Returns a new child container representing a named scope.
+
+    Factories registered with a matching `scope` option are only looked up and
+    instantiated within that scope. Their instances are cached on the scope
+    rather than on the application-wide container and are destroyed along
+    with the scope. Singletons without a `scope` option that are looked up
+    through a scope are still cached on the container that owns them.
+    Unlike other child containers, a scope inherits all injection rules.
+
+    ```javascript
+    var container = new Container();
+
+    container.register('session:current', Session, { scope: 'session' });
+    container.register('store:main', Store);
+
+    var scope = container.createScope('session');
+
+    var session = scope.lookup('session:current');
+    scope.lookup('store:main') === container.lookup('store:main'); // => true
+
+    scope.destroy();
+    session.isDestroyed; // => true
+
+    container.lookup('session:current'); // => throws, not within a `session` scope
+    ```
+
+    @method createScope
+    @param {String} name
+    @return {Container}
+  */
+  Container.prototype.createScope = function(name) {
+    var scope = this.child();
+
+    scope.scope = name;
+    scope.injections = dictionary(this.injections);
+    scope.factoryInjections = dictionary(this.factoryInjections);
+
+    return scope;
+  };
+
+  var scopeFor = function(container, fullName) {
+    var scope = option(container, fullName, 'scope');
+    var current = container;
+
+    if (scope) {
+      while (current && current.scope !== scope) {
+        current = current.parent;
+      }
+
+      if (!current) {
+        throw new Error('Attempting to lookup `' + fullName + '`, which is registered in the `' +
+                        scope + '` scope, outside of a `' + scope + '` scope');
+      }
+
+      return current;
+    }
+
+    while (current.scope && !hasOwnProp.call(current.registry, fullName)) {
+      current = current.parent;
+    }
+
+    return current;
+  };
+}
+
+if (Ember.FEATURES.isEnabled('container-validate')) {
+  /**
+    Checks that the target of every injection rule can be resolved, so that
+    misspelled names are found before the injections are first needed.
+
+    All unresolvable injections are reported together in a single error.
+    Injections of private names, which start with a `-`, are not validated
+    because they may be registered lazily.
+
+    ```javascript
+    var container = new Container();
+
+    container.register('service:session', Session);
+    container.typeInjection('controller', 'session', 'service:sesion');
+
+    container.validate();
+    // => Error: The following injections could not be resolved:
+    //      `service:sesion` injected as `session` on `controller`
+    ```
+
+    @method validate
+  */
+  Container.prototype.validate = function() {
+    var container = this;
+    var failures = [];
+
+    function validateRules(rules) {
+      var name, injections, injection, i, l;
+
+      for (name in rules) {
+        injections = rules[name];
+
+        for (i = 0, l = injections.length; i < l; i++) {
+          injection = injections[i];
+
+          if (injection.fullName.charAt(0) !== '-' && !isResolvable(container, container.normalize(injection.fullName))) {
+            failures.push('`' + injection.fullName + '` injected as `' +
+                          injection.property + '` on `' + name + '`');
+          }
+        }
+      }
+    }
+
+    validateRules(this.typeInjections);
+    validateRules(this.injections);
+    validateRules(this.factoryTypeInjections);
+    validateRules(this.factoryInjections);
+
+    if (failures.length) {
+      throw new Error('The following injections could not be resolved:\n  ' + failures.join('\n  '));
+    }
+  };
+
+  // Unlike `has`, this does not populate the resolve cache, so factories can
+  // still be registered once the container has been validated. Resolvers can
+  // provide a `peek` function, which resolves a name without counting it as
+  // a lookup.
+  var isResolvable = function(container, normalizedName) {
+    var resolve = container.resolver.peek || container.resolver;
+
+    if (container.cache[normalizedName] || container.resolveCache[normalizedName]) {
+      return true;
+    }
+
+    return (resolve(normalizedName) || container.registry[normalizedName]) !== undefined;
+  };
+}
+
+if (Ember.FEATURES.isEnabled('container-decorators')) {
+  /**
+    Registers a decorator for all factories of a type, or for a single
+    fullName.
+
+    Decorators receive the factory and its fullName when the factory is first
+    looked up, and return the factory to use in its place. When the
+    `instance` option is passed, decorators instead receive every instance
+    created by the container, and return the instance to use in its place.
+
+    Decorators run in a deterministic order: decorators inherited from the
+    parent container before the container's own, decorators for the type
+    before decorators for the fullName, and otherwise in the order they were
+    registered.
+
+    ```javascript
+    var container = new Container();
+
+    container.register('controller:post', PostController);
+
+    container.decorate('controller', function(factory, fullName) {
+      return factory.extend(LoggingMixin);
+    });
+
+    container.decorate('controller:post', function(instance, fullName) {
+      metrics.increment(fullName);
+      return instance;
+    }, { instance: true });
+    ```
+
+    @method decorate
+    @param {String} typeOrFullName
+    @param {Function} decorator
+    @param {Object} options
+  */
+  Container.prototype.decorate = function(typeOrFullName, decorator, options) {
+    var key = typeOrFullName;
+
+    if (typeOrFullName.indexOf(':') !== -1) {
+      Ember.assert('fullName must be a proper full name', validateFullName(typeOrFullName));
+      key = this.normalize(typeOrFullName);
+
+      if (this.factoryCache[key]) {
+        throw new Error('Attempted to register a decorator for `' + typeOrFullName +
+                        '`, which has already been looked up.');
+      }
+    }
+
+    var decorators = this.decorators;
+
+    decorators[key] = decorators[key] || [];
+    decorators[key].push({
+      decorator: decorator,
+      instance: !!(options && options.instance)
+    });
+  };
+
+  // Decorators are looked up through the parent containers when they are
+  // applied, so that decorators registered on a parent after a child was
+  // created still reach the child.
+  var decoratorsFor = function(container, key) {
+    var decorators = [];
+
+    for (var current = container; current; current = current.parent) {
+      decorators = (current.decorators[key] || []).concat(decorators);
+    }
+
+    return decorators;
+  };
+
+  var decorate = function(container, fullName, value, instance) {
+    var decorators = decoratorsFor(container, typeOfFullName(fullName)).concat(decoratorsFor(container, fullName));
+
+    for (var i = 0, l = decorators.length; i < l; i++) {
+      if (decorators[i].instance === instance) {
+        value = decorators[i].decorator(value, fullName);
+
+        Ember.assert('The decorator for `' + fullName + '` must return ' +
+                     (instance ? 'an instance' : 'a factory'), value !== undefined);
+      }
+    }
+
+    return value;
+  };
+}
+
+if (Ember.FEATURES.isEnabled('container-snapshots')) {
+  var SNAPSHOT_DICTIONARIES = [
+    'registry', 'cache', 'factoryCache', 'resolveCache', 'normalizeCache',
+    '_options', '_typeOptions'
+  ];
+
+  // dictionaries of arrays that are appended to, rather than replaced
+  var SNAPSHOT_RULES = [
+    'typeInjections', 'injections', 'factoryTypeInjections', 'factoryInjections'
+  ];
+
+  if (Ember.FEATURES.isEnabled('container-decorators')) {
+    SNAPSHOT_RULES.push('decorators');
+  }
+
+  /**
+    Captures the registrations, caches, injection rules and options of the
+    container, so they can later be rolled back with `restore`.
+
+    Only the container's own state is captured, state inherited from a
+    parent container is left untouched.
+
+    @method snapshot
+    @return {Object} an opaque snapshot of the container's state
+  */
+  Container.prototype.snapshot = function() {
+    var snapshot = {};
+    var i, l;
+
+    for (i = 0, l = SNAPSHOT_DICTIONARIES.length; i < l; i++) {
+      snapshot[SNAPSHOT_DICTIONARIES[i]] = copyDictionary(this[SNAPSHOT_DICTIONARIES[i]], false);
+    }
+
+    for (i = 0, l = SNAPSHOT_RULES.length; i < l; i++) {
+      snapshot[SNAPSHOT_RULES[i]] = copyDictionary(this[SNAPSHOT_RULES[i]], true);
+    }
+
+    return snapshot;
+  };
+
+  /**
+    Rolls the container back to a snapshot taken with `snapshot`.
+
+    Singletons that were looked up after the snapshot was taken are
+    destroyed.
+
+    ```javascript
+    var snapshot = container.snapshot();
+
+    container.unregister('service:session');
+    container.register('service:session', StubSession);
+    container.lookup('service:session');
+
+    container.restore(snapshot); // the stub session is destroyed
+    ```
+
+    @method restore
+    @param {Object} snapshot
+  */
+  Container.prototype.restore = function(snapshot) {
+    var cache = this.cache;
+    var keys = emberKeys(cache);
+    var key, value, i, l;
+
+    for (i = 0, l = keys.length; i < l; i++) {
+      key = keys[i];
+      value = cache[key];
+
+      if (snapshot.cache[key] !== value && option(this, key, 'instantiate') !== false) {
+        value.destroy();
+      }
+    }
+
+    for (i = 0, l = SNAPSHOT_DICTIONARIES.length; i < l; i++) {
+      restoreDictionary(this[SNAPSHOT_DICTIONARIES[i]], snapshot[SNAPSHOT_DICTIONARIES[i]], false);
+    }
+
+    for (i = 0, l = SNAPSHOT_RULES.length; i < l; i++) {
+      restoreDictionary(this[SNAPSHOT_RULES[i]], snapshot[SNAPSHOT_RULES[i]], true);
+    }
+  };
+
+  /**
+    Replaces the registration of a fullName until the returned function is
+    called. Calling it restores the container to the state it had before the
+    override, destroying any singletons looked up in the meantime.
+
+    This is primarily useful for stubbing objects in tests:
+
+    ```javascript
+    var restore = container.override('service:session', StubSession);
+
+    container.lookup('service:session'); // => a StubSession
+
+    restore();
+
+    container.lookup('service:session'); // => a Session
+    ```
+
+    @method override
+    @param {String} fullName
+    @param {Function} factory
+    @param {Object} options
+    @return {Function} a function that restores the original registration
+  */
+  Container.prototype.override = function(fullName, factory, options) {
+    var container = this;
+    var snapshot = this.snapshot();
+
+    this.unregister(fullName);
+    this.register(fullName, factory, options);
+
+    return function restore() {
+      container.restore(snapshot);
+    };
+  };
+
+  var copyDictionary = function(dict, isRules) {
+    var copy = dictionary(null);
+    var keys = emberKeys(dict);
+
+    for (var i = 0, l = keys.length; i < l; i++) {
+      copy[keys[i]] = isRules ? dict[keys[i]].slice() : dict[keys[i]];
+    }
+
+    return copy;
+  };
+
+  // dictionaries are restored in place, so that the dictionaries of child
+  // containers keep inheriting from them
+  var restoreDictionary = function(dict, copy, isRules) {
+    var keys = emberKeys(dict);
+    var i, l;
+
+    for (i = 0, l = keys.length; i < l; i++) {
+      delete dict[keys[i]];
+    }
+
+    keys = emberKeys(copy);
+
+    for (i = 0, l = keys.length; i < l; i++) {
+      dict[keys[i]] = isRules ? copy[keys[i]].slice() : copy[keys[i]];
+    }
+  };
+}
+
 function resolve(container, normalizedName) {
   var cached = container.resolveCache[normalizedName];
   if (cached) { return cached; }
@@ -658,11 +1174,21 @@ function has(container, fullName){
 function lookup(container, fullName, options) {
   options = options || {};
 
+  if (Ember.FEATURES.isEnabled('container-scopes')) {
+    container = scopeFor(container, fullName);
+  }
+
   if (container.cache[fullName] && options.singleton !== false) {
     return container.cache[fullName];
   }
 
-  var value = instantiate(container, fullName);
+  var value;
+
+  if (Ember.FEATURES.isEnabled('container-dependency-graph')) {
+    value = withCycleCheck(container, fullName, instantiate);
+  } else {
+    value = instantiate(container, fullName);
+  }
 
   if (value === undefined) { return; }
 
@@ -673,6 +1199,22 @@ function lookup(container, fullName, options) {
   return value;
 }
 
+function lookupFactory(container, fullName) {
+  if (Ember.FEATURES.isEnabled('container-scopes')) {
+    container = scopeFor(container, fullName);
+  }
+
+  return factoryFor(container, fullName);
+}
+
+function removeChild(container, child) {
+  var index = indexOf.call(container.children, child);
+
+  if (index !== -1) {
+    container.children.splice(index, 1);
+  }
+}
+
 function illegalChildOperation(operation) {
   throw new Error(operation + ' is not currently supported on child containers');
 }
@@ -683,7 +1225,7 @@ function isSingleton(container, fullName) {
   return singleton !== false;
 }
 
-function buildInjections(container, injections) {
+function buildInjections(container, injections, allowLazy) {
   var hash = {};
 
   if (!injections) { return hash; }
@@ -694,12 +1236,25 @@ function buildInjections(container, injections) {
 
   for (var i = 0, length = injections.length; i < length; i++) {
     injection = injections[i];
-    hash[injection.property] = lookup(container, injection.fullName);
+
+    if (Ember.FEATURES.isEnabled('container-lazy-injections') && allowLazy && injection.lazy) {
+      hash[injection.property] = lazyInjection(injection.fullName);
+    } else {
+      hash[injection.property] = lookup(container, injection.fullName);
+    }
   }
 
   return hash;
 }
 
+if (Ember.FEATURES.isEnabled('container-lazy-injections')) {
+  var lazyInjection = function(fullName) {
+    var index = fullName.indexOf(':');
+
+    return new InjectedProperty(fullName.slice(0, index), fullName.slice(index + 1));
+  };
+}
+
 function validateInjections(container, injections) {
   if (!injections) { return; }
 
@@ -721,7 +1276,7 @@ function option(container, fullName, optionName) {
     return options[optionName];
   }
 
-  var type = fullName.split(':')[0];
+  var type = typeOfFullName(fullName);
   options = container._typeOptions[type];
 
   if (options) {
@@ -734,17 +1289,31 @@ function factoryFor(container, fullName) {
   if (cache[fullName]) {
     return cache[fullName];
   }
+
+  if (Ember.FEATURES.isEnabled('container-dependency-graph')) {
+    return factoryWithCycleCheck(container, fullName);
+  }
+
+  return buildFactory(container, fullName);
+}
+
+function buildFactory(container, fullName) {
+  var cache = container.factoryCache;
   var factory = container.resolve(fullName);
   if (factory === undefined) { return; }
 
-  var type = fullName.split(':')[0];
+  var type = typeOfFullName(fullName);
   if (!factory || typeof factory.extend !== 'function' || (!Ember.MODEL_FACTORY_INJECTIONS && type === 'model')) {
     // TODO: think about a 'safe' merge style extension
     // for now just fallback to create time injection
+    if (Ember.FEATURES.isEnabled('container-decorators')) {
+      factory = decorate(container, fullName, factory, false);
+    }
+
     cache[fullName] = factory;
     return factory;
   } else {
-    var injections = injectionsFor(container, fullName);
+    var injections = injectionsFor(container, fullName, true);
     var factoryInjections = factoryInjectionsFor(container, fullName);
 
     factoryInjections._toString = container.makeToString(factory, fullName);
@@ -752,21 +1321,24 @@ function factoryFor(container, fullName) {
     var injectedFactory = factory.extend(injections);
     injectedFactory.reopenClass(factoryInjections);
 
+    if (Ember.FEATURES.isEnabled('container-decorators')) {
+      injectedFactory = decorate(container, fullName, injectedFactory, false);
+    }
+
     cache[fullName] = injectedFactory;
 
     return injectedFactory;
   }
 }
 
-function injectionsFor(container, fullName) {
-  var splitName = fullName.split(':');
-  var type = splitName[0];
+function injectionsFor(container, fullName, allowLazy) {
+  var type = typeOfFullName(fullName);
   var injections = [];
 
   injections = injections.concat(container.typeInjections[type] || []);
   injections = injections.concat(container.injections[fullName] || []);
 
-  injections = buildInjections(container, injections);
+  injections = buildInjections(container, injections, allowLazy);
   injections._debugContainerKey = fullName;
   injections.container = container;
 
@@ -774,8 +1346,7 @@ function injectionsFor(container, fullName) {
 }
 
 function factoryInjectionsFor(container, fullName) {
-  var splitName = fullName.split(':');
-  var type = splitName[0];
+  var type = typeOfFullName(fullName);
   var factoryInjections = [];
 
   factoryInjections = factoryInjections.concat(container.factoryTypeInjections[type] || []);
@@ -805,7 +1376,7 @@ if (Ember.FEATURES.isEnabled('ember-metal-injected-properties')) {
 
 function instantiate(container, fullName) {
   var factory = factoryFor(container, fullName);
-  var lazyInjections;
+  var lazyInjections, instance;
 
   if (option(container, fullName, 'instantiate') === false) {
     return factory;
@@ -828,16 +1399,97 @@ function instantiate(container, fullName) {
 
     if (typeof factory.extend === 'function') {
       // assume the factory was extendable and is already injected
-      return factory.create();
+      instance = factory.create();
     } else {
       // assume the factory was extendable
       // to create time injections
       // TODO: support new'ing for instantiation and merge injections for pure JS Functions
-      return factory.create(injectionsFor(container, fullName));
+      instance = factory.create(injectionsFor(container, fullName));
     }
+
+    if (Ember.FEATURES.isEnabled('container-decorators')) {
+      instance = decorate(container, fullName, instance, true);
+    }
+
+    return instance;
   }
 }
 
+if (Ember.FEATURES.isEnabled('container-dependency-graph')) {
+  var withCycleCheck = function(container, fullName, build) {
+    var path = container._instantiating;
+
+    if (indexOf.call(path, fullName) !== -1) {
+      throw new Error('Cannot instantiate `' + fullName + '` because of an injection cycle: ' +
+                      path.concat(fullName).join(' -> '));
+    }
+
+    path.push(fullName);
+
+    try {
+      return build(container, fullName);
+    } finally {
+      path.pop();
+    }
+  };
+
+  // The factory of the instance being instantiated is part of the same step
+  // of the path, other factories are checked like instances, so that cycles
+  // through `lookupFactory` and factory injections are reported too.
+  var factoryWithCycleCheck = function(container, fullName) {
+    var path = container._instantiating;
+
+    if (path[path.length - 1] === fullName) {
+      return buildFactory(container, fullName);
+    }
+
+    return withCycleCheck(container, fullName, buildFactory);
+  };
+
+  var findCycles = function(nodes, edges) {
+    var adjacency = dictionary(null);
+    var state = dictionary(null);
+    var path = [];
+    var cycles = [];
+    var i, l;
+
+    for (i = 0, l = edges.length; i < l; i++) {
+      if (!edges[i].lazy) {
+        initRules(adjacency, edges[i].from).push(edges[i].to);
+      }
+    }
+
+    function visit(name) {
+      var targets = adjacency[name] || [];
+      var target;
+
+      state[name] = 'visiting';
+      path.push(name);
+
+      for (var i = 0, l = targets.length; i < l; i++) {
+        target = targets[i];
+
+        if (state[target] === 'visiting') {
+          cycles.push(path.slice(indexOf.call(path, target)).concat(target));
+        } else if (!state[target]) {
+          visit(target);
+        }
+      }
+
+      path.pop();
+      state[name] = 'visited';
+    }
+
+    for (i = 0, l = nodes.length; i < l; i++) {
+      if (!state[nodes[i].name]) {
+        visit(nodes[i].name);
+      }
+    }
+
+    return cycles;
+  };
+}
+
 function eachDestroyable(container, callback) {
   var cache = container.cache;
   var keys = emberKeys(cache);
@@ -861,7 +1513,7 @@ function resetCache(container) {
   container.cache.dict = dictionary(null);
 }
 
-function addTypeInjection(rules, type, property, fullName) {
+function addTypeInjection(rules, type, property, fullName, options) {
   var injections = rules[type];
 
   if (!injections) {
@@ -869,10 +1521,36 @@ function addTypeInjection(rules, type, property, fullName) {
     rules[type] = injections;
   }
 
-  injections.push({
-    property: property,
-    fullName: fullName
-  });
+  addInjection(injections, property, fullName, options);
+}
+
+// The type of `admin@controller:users` is `controller`.
+function typeOfFullName(fullName) {
+  var type = fullName.split(':')[0];
+
+  if (Ember.FEATURES.isEnabled('container-namespaced-lookups')) {
+    var namespaceIndex = type.indexOf('@');
+
+    if (namespaceIndex !== -1) {
+      type = type.slice(namespaceIndex + 1);
+    }
+  }
+
+  return type;
+}
+
+// Moves the namespace of a name to the front of its fullName, so that
+// `controller:admin@users` becomes `admin@controller:users`. This lets
+// `needs`, `inject` and `{{render}}`, which build fullNames by prefixing
+// a name with its type, accept namespaced names.
+export function normalizeNamespace(fullName) {
+  var colonIndex = fullName.indexOf(':');
+  var namespaceIndex = fullName.indexOf('@', colonIndex);
+
+  if (colonIndex === -1 || namespaceIndex === -1) { return fullName; }
+
+  return fullName.slice(colonIndex + 1, namespaceIndex) + '@' +
+         fullName.slice(0, colonIndex + 1) + fullName.slice(namespaceIndex + 1);
 }
 
 var VALID_FULL_NAME_REGEXP = /^[^:]+.+:[^:]+$/;
@@ -887,11 +1565,19 @@ function initRules(rules, factoryName) {
   return rules[factoryName] || (rules[factoryName] = []);
 }
 
-function addInjection(injections, property, injectionName) {
-  injections.push({
+function addInjection(injections, property, injectionName, options) {
+  var injection = {
     property: property,
     fullName: injectionName
-  });
+  };
+
+  if (Ember.FEATURES.isEnabled('container-lazy-injections')) {
+    if (options && options.lazy) {
+      injection.lazy = true;
+    }
+  }
+
+  injections.push(injection);
 }
 
 export default Container;
@@ -667,3 +667,463 @@ if (Ember.FEATURES.isEnabled('ember-metal-injected-properties')) {
     }, /Attempting to inject an unknown injection: `banana:main`/);
   });
 }
+
+if (Ember.FEATURES.isEnabled('container-dependency-graph')) {
+  test("dependencyGraph describes registrations and injections as nodes and edges", function() {
+    var container = new Container();
+
+    container.register('router:main', factory());
+    container.register('store:main', factory());
+    container.register('controller:post', factory());
+    container.register('model:post', factory());
+
+    container.typeInjection('controller', 'router', 'router:main');
+    container.injection('controller:post', 'store', 'store:main');
+    container.factoryInjection('model', 'store', 'store:main');
+    container.injection('controller:post', 'session', 'session:main');
+
+    var graph = container.dependencyGraph();
+
+    deepEqual(graph.nodes, [
+      { name: 'router:main', type: 'router', registered: true },
+      { name: 'store:main', type: 'store', registered: true },
+      { name: 'controller:post', type: 'controller', registered: true },
+      { name: 'model:post', type: 'model', registered: true },
+      { name: 'session:main', type: 'session', registered: false }
+    ]);
+
+    deepEqual(graph.edges, [
+      { from: 'controller:post', to: 'router:main', property: 'router', kind: 'typeInjection', lazy: false },
+      { from: 'controller:post', to: 'store:main', property: 'store', kind: 'injection', lazy: false },
+      { from: 'controller:post', to: 'session:main', property: 'session', kind: 'injection', lazy: false },
+      { from: 'model:post', to: 'store:main', property: 'store', kind: 'factoryTypeInjection', lazy: false }
+    ]);
+
+    deepEqual(graph.cycles, []);
+  });
+
+  test("dependencyGraph is serializable", function() {
+    var container = new Container();
+
+    container.register('router:main', factory());
+    container.register('controller:post', factory());
+    container.typeInjection('controller', 'router', 'router:main');
+
+    var graph = container.dependencyGraph();
+
+    deepEqual(JSON.parse(JSON.stringify(graph)), graph);
+  });
+
+  test("dependencyGraph reports injection cycles with the full path", function() {
+    var container = new Container();
+
+    container.register('service:a', factory());
+    container.register('service:b', factory());
+    container.register('service:c', factory());
+
+    container.injection('service:a', 'b', 'service:b');
+    container.injection('service:b', 'c', 'service:c');
+    container.injection('service:c', 'a', 'service:a');
+
+    deepEqual(container.dependencyGraph().cycles, [
+      ['service:a', 'service:b', 'service:c', 'service:a']
+    ]);
+  });
+
+  test("dependencyGraph includes registrations inherited by a child container", function() {
+    var container = new Container();
+    container.register('controller:post', factory());
+
+    var child = container.child();
+    child.register('controller:comment', factory());
+
+    deepEqual(child.dependencyGraph().nodes, [
+      { name: 'controller:comment', type: 'controller', registered: true },
+      { name: 'controller:post', type: 'controller', registered: true }
+    ]);
+  });
+
+  test("An injection cycle throws with the full path instead of overflowing the stack", function() {
+    var container = new Container();
+
+    container.register('service:a', factory());
+    container.register('service:b', factory());
+
+    container.injection('service:a', 'b', 'service:b');
+    container.injection('service:b', 'a', 'service:a');
+
+    throws(function() {
+      container.lookup('service:a');
+    }, /Cannot instantiate `service:a` because of an injection cycle: service:a -> service:b -> service:a/);
+
+    container.unregister('service:b');
+    container.register('service:b', factory());
+
+    throws(function() {
+      container.lookup('service:b');
+    }, /service:b -> service:a -> service:b/, 'the instantiation path is reset after a failure');
+  });
+
+  test("An injection cycle through lookupFactory and factory injections throws with the full path", function() {
+    var container = new Container();
+
+    container.register('service:a', factory());
+    container.register('service:b', factory());
+
+    container.factoryInjection('service:a', 'b', 'service:b');
+    container.injection('service:b', 'a', 'service:a');
+
+    throws(function() {
+      container.lookupFactory('service:a');
+    }, /Cannot instantiate `service:a` because of an injection cycle: service:a -> service:b -> service:a/);
+
+    throws(function() {
+      container.lookup('service:b');
+    }, /service:b -> service:a -> service:b/, 'the cycle is reported from an instance too');
+  });
+}
+
+if (Ember.FEATURES.isEnabled('container-dependency-graph') && Ember.FEATURES.isEnabled('container-lazy-injections')) {
+  test("dependencyGraph does not report cycles through lazy injections", function() {
+    var container = new Container();
+
+    container.register('service:a', factory());
+    container.register('service:b', factory());
+
+    container.injection('service:a', 'b', 'service:b', { lazy: true });
+    container.injection('service:b', 'a', 'service:a');
+
+    var graph = container.dependencyGraph();
+
+    deepEqual(graph.edges, [
+      { from: 'service:a', to: 'service:b', property: 'b', kind: 'injection', lazy: true },
+      { from: 'service:b', to: 'service:a', property: 'a', kind: 'injection', lazy: false }
+    ]);
+
+    deepEqual(graph.cycles, []);
+  });
+}
+
+if (Ember.FEATURES.isEnabled('container-validate')) {
+  test("validate passes when every injection can be resolved", function() {
+    var container = new Container();
+
+    container.register('router:main', factory());
+    container.register('store:main', factory());
+    container.register('controller:post', factory());
+
+    container.typeInjection('controller', 'router', 'router:main');
+    container.injection('controller:post', 'store', 'store:main');
+    container.factoryInjection('model', 'store', 'store:main');
+
+    container.validate();
+
+    ok(true, 'validate does not throw');
+  });
+
+  test("validate reports every injection that cannot be resolved", function() {
+    var container = new Container();
+
+    container.register('service:session', factory());
+    container.register('controller:post', factory());
+
+    container.typeInjection('controller', 'session', 'service:sesion');
+    container.injection('controller:post', 'store', 'store:main');
+    container.factoryInjection('model:post', 'adapter', 'adapter:main');
+
+    throws(function() {
+      container.validate();
+    }, function(error) {
+      return error.message === 'The following injections could not be resolved:\n' +
+        '  `service:sesion` injected as `session` on `controller`\n' +
+        '  `store:main` injected as `store` on `controller:post`\n' +
+        '  `adapter:main` injected as `adapter` on `model:post`';
+    });
+  });
+
+  test("validate ignores injections of private names", function() {
+    var container = new Container();
+
+    container.typeInjection('location', 'rootURL', '-location-setting:root-url');
+
+    container.validate();
+
+    ok(true, 'validate does not throw');
+  });
+
+  test("validate uses the resolver", function() {
+    var container = new Container();
+    var Session = factory();
+
+    container.resolver = function(fullName) {
+      if (fullName === 'service:session') { return Session; }
+    };
+
+    container.typeInjection('controller', 'session', 'service:session');
+
+    container.validate();
+
+    ok(true, 'validate does not throw');
+  });
+
+  test("validate peeks at the resolver when it can", function() {
+    var container = new Container();
+    var Session = factory();
+
+    container.resolver = function(fullName) {
+      ok(false, 'the resolver is not called');
+    };
+
+    container.resolver.peek = function(fullName) {
+      if (fullName === 'service:session') { return Session; }
+    };
+
+    container.typeInjection('controller', 'session', 'service:session');
+
+    container.validate();
+
+    ok(true, 'validate does not throw');
+  });
+}
+
+if (Ember.FEATURES.isEnabled('container-decorators')) {
+  test("Factory decorators replace the factory when it is first looked up", function() {
+    var container = new Container();
+    var PostController = factory();
+    var calls = [];
+
+    container.register('controller:post', PostController);
+
+    container.decorate('controller', function(Factory, fullName) {
+      calls.push(fullName);
+      return Factory.extend({ decorated: true });
+    });
+
+    var PostControllerFactory = container.lookupFactory('controller:post');
+
+    ok(PostControllerFactory.create() instanceof PostController, 'the replacement is used');
+    equal(PostControllerFactory.create().decorated, true, 'the replacement is used');
+    equal(container.lookup('controller:post').decorated, true, 'instances are created from the replacement');
+    equal(container.lookupFactory('controller:post'), PostControllerFactory, 'the replacement is cached');
+    deepEqual(calls, ['controller:post'], 'the decorator runs once');
+  });
+
+  test("Instance decorators replace every instance", function() {
+    var container = new Container();
+    var created = [];
+
+    container.register('controller:post', factory(), { singleton: false });
+
+    container.decorate('controller:post', function(instance, fullName) {
+      created.push(fullName);
+      instance.decorated = true;
+      return instance;
+    }, { instance: true });
+
+    equal(container.lookup('controller:post').decorated, true, 'the instance is decorated');
+    equal(container.lookup('controller:post').decorated, true, 'the instance is decorated');
+    deepEqual(created, ['controller:post', 'controller:post'], 'the decorator runs for every instance');
+  });
+
+  test("Decorators run in a deterministic order", function() {
+    var container = new Container();
+    var order = [];
+
+    container.register('controller:post', factory());
+
+    function decorator(name) {
+      return function(value) {
+        order.push(name);
+        return value;
+      };
+    }
+
+    container.decorate('controller:post', decorator('fullName'));
+    container.decorate('controller', decorator('type 1'));
+    container.decorate('controller', decorator('type 2'));
+    container.decorate('controller', decorator('instance'), { instance: true });
+
+    var child = container.child();
+    child.decorate('controller', decorator('child'));
+
+    child.lookup('controller:post');
+
+    deepEqual(order, ['type 1', 'type 2', 'child', 'fullName', 'instance']);
+  });
+
+  test("Decorators are inherited by child containers without affecting the parent", function() {
+    var container = new Container();
+
+    container.register('controller:post', factory());
+    container.register('controller:comment', factory());
+
+    container.decorate('controller', function(Factory) {
+      return Factory.extend({ parent: true });
+    });
+
+    var child = container.child();
+
+    child.decorate('controller', function(Factory) {
+      return Factory.extend({ child: true });
+    });
+
+    var childController = child.lookup('controller:post');
+
+    equal(childController.parent, true, 'the parent decorator applies to the child');
+    equal(childController.child, true, 'the child decorator applies to the child');
+    equal(container.lookup('controller:comment').child, undefined, 'the child decorator does not apply to the parent');
+  });
+
+  test("Decorators registered on the parent after a child was created reach the child", function() {
+    var container = new Container();
+    var child = container.child();
+
+    container.register('controller:post', factory());
+
+    child.decorate('controller', function(Factory) {
+      return Factory.extend({ child: true });
+    });
+
+    container.decorate('controller', function(Factory) {
+      return Factory.extend({ parent: true });
+    });
+
+    var childController = child.lookup('controller:post');
+
+    equal(childController.parent, true, 'the parent decorator applies to the child');
+    equal(childController.child, true, 'the child decorator applies to the child');
+  });
+
+  test("A decorator cannot be registered for a factory that has already been looked up", function() {
+    var container = new Container();
+
+    container.register('controller:post', factory());
+    container.lookupFactory('controller:post');
+
+    throws(function() {
+      container.decorate('controller:post', function(Factory) { return Factory; });
+    }, /Attempted to register a decorator for `controller:post`, which has already been looked up/);
+  });
+}
+
+if (Ember.FEATURES.isEnabled('container-snapshots')) {
+  test("restore rolls back registrations, injections and options made after a snapshot", function() {
+    var container = new Container();
+    var PostController = factory();
+
+    container.register('controller:post', PostController);
+    container.register('store:main', factory());
+
+    var snapshot = container.snapshot();
+
+    container.register('controller:comment', factory(), { singleton: false });
+    container.injection('controller:post', 'store', 'store:main');
+    container.optionsForType('controller', { singleton: false });
+
+    container.restore(snapshot);
+
+    equal(container.has('controller:comment'), false, 'the registration is rolled back');
+
+    var postController = container.lookup('controller:post');
+
+    ok(postController instanceof PostController, 'earlier registrations are kept');
+    equal(postController.store, undefined, 'the injection is rolled back');
+    equal(container.lookup('controller:post'), postController, 'the options are rolled back');
+  });
+
+  test("restore destroys singletons looked up after a snapshot", function() {
+    var container = new Container();
+
+    container.register('controller:post', factory());
+    container.register('controller:comment', factory());
+
+    var postController = container.lookup('controller:post');
+    var snapshot = container.snapshot();
+    var commentController = container.lookup('controller:comment');
+
+    container.restore(snapshot);
+
+    equal(commentController.isDestroyed, true, 'the new singleton is destroyed');
+    equal(postController.isDestroyed, undefined, 'the earlier singleton is kept');
+    equal(container.lookup('controller:post'), postController, 'the earlier singleton is still cached');
+    notEqual(container.lookup('controller:comment'), commentController, 'the new singleton is no longer cached');
+  });
+
+  test("override replaces a registration until it is restored", function() {
+    var container = new Container();
+    var Session = factory();
+    var StubSession = factory();
+
+    container.register('service:session', Session);
+    container.register('controller:post', factory());
+    container.injection('controller:post', 'session', 'service:session');
+
+    var session = container.lookup('service:session');
+    var restore = container.override('service:session', StubSession);
+
+    var stub = container.lookup('service:session');
+    var postController = container.lookup('controller:post');
+
+    ok(stub instanceof StubSession, 'the override is looked up');
+    equal(postController.session, stub, 'the override is injected');
+
+    restore();
+
+    equal(stub.isDestroyed, true, 'the override instance is destroyed');
+    equal(postController.isDestroyed, true, 'instances created during the override are destroyed');
+    equal(container.lookup('service:session'), session, 'the original registration is restored');
+    equal(container.lookup('controller:post').session, session, 'the original registration is injected');
+  });
+
+  test("restore keeps the state inherited by child containers", function() {
+    var container = new Container();
+    var child = container.child();
+    var PostController = factory();
+
+    var restore = container.override('controller:post', PostController);
+
+    equal(child.registry['controller:post'], PostController, 'the child sees the override');
+
+    restore();
+
+    equal(child.registry['controller:post'], undefined, 'the child sees the restored registry');
+  });
+}
+
+if (Ember.FEATURES.isEnabled('container-namespaced-lookups')) {
+  test("The namespace of a name is moved to the front of its fullName", function() {
+    var container = new Container();
+
+    equal(container.normalize('controller:admin@users'), 'admin@controller:users');
+    equal(container.normalize('admin@controller:users'), 'admin@controller:users');
+    equal(container.normalize('controller:users'), 'controller:users');
+  });
+
+  test("Namespaced names are looked up separately from the names they collide with", function() {
+    var container = new Container();
+    var UsersController = factory();
+    var AdminUsersController = factory();
+
+    container.register('controller:users', UsersController);
+    container.register('admin@controller:users', AdminUsersController);
+
+    ok(container.lookup('controller:users') instanceof UsersController);
+    ok(container.lookup('admin@controller:users') instanceof AdminUsersController);
+    equal(container.lookup('controller:admin@users'), container.lookup('admin@controller:users'), "both syntaxes look up the same instance");
+  });
+
+  test("Type injections and options apply to namespaced names", function() {
+    var container = new Container();
+    var Store = factory();
+
+    container.register('store:main', Store);
+    container.register('admin@controller:users', factory());
+    container.typeInjection('controller', 'store', 'store:main');
+    container.optionsForType('controller', { singleton: false });
+
+    var users = container.lookup('admin@controller:users');
+
+    ok(users.store instanceof Store, "the type injection was applied");
+    notEqual(users, container.lookup('admin@controller:users'), "the type options were applied");
+  });
+}
@@ -86,3 +86,96 @@ test("Type injections should be inherited", function() {
 
   equal(postController.store, store);
 });
+
+if (Ember.FEATURES.isEnabled('container-scopes')) {
+  test("Scoped registrations are cached on the scope and destroyed with it", function() {
+    var Session = factory();
+    container.register('session:current', Session, { scope: 'session' });
+
+    var scope = container.createScope('session');
+    var session = scope.lookup('session:current');
+
+    ok(session instanceof Session, 'the scoped factory is instantiated');
+    equal(scope.lookup('session:current'), session, 'the instance is a singleton within the scope');
+    equal(session.container, scope, 'the instance receives the scope as its container');
+
+    var otherScope = container.createScope('session');
+    notEqual(otherScope.lookup('session:current'), session, 'each scope has its own instance');
+
+    scope.destroy();
+
+    equal(session.isDestroyed, true, 'the instance is destroyed with its scope');
+    equal(container.children.length, 1, 'the destroyed scope is removed from its parent');
+  });
+
+  test("Scoped registrations cannot be looked up outside of their scope", function() {
+    container.register('session:current', factory(), { scope: 'session' });
+
+    throws(function() {
+      container.lookup('session:current');
+    }, /Attempting to lookup `session:current`, which is registered in the `session` scope, outside of a `session` scope/);
+
+    throws(function() {
+      container.createScope('modal').lookup('session:current');
+    }, /outside of a `session` scope/);
+  });
+
+  test("Scoped registrations are found on the nearest matching ancestor scope", function() {
+    container.register('session:current', factory(), { scope: 'session' });
+    container.register('modal:current', factory(), { scope: 'modal' });
+    container.injection('modal:current', 'session', 'session:current');
+
+    var session = container.createScope('session');
+    var modal = session.createScope('modal');
+
+    var modalInstance = modal.lookup('modal:current');
+
+    equal(modalInstance.session, session.lookup('session:current'), 'the injected instance is shared with the outer scope');
+
+    modal.destroy();
+
+    equal(modalInstance.isDestroyed, true, 'the inner scope destroys its instances');
+    equal(session.lookup('session:current').isDestroyed, undefined, "the outer scope's instances survive");
+  });
+
+  test("Unscoped singletons looked up through a scope are cached on the owning container", function() {
+    var scope = container.createScope('request');
+    var postController = scope.lookup('controller:post');
+
+    equal(container.lookup('controller:post'), postController, 'the singleton is shared with the parent');
+
+    scope.destroy();
+
+    equal(postController.isDestroyed, undefined, 'the singleton outlives the scope');
+  });
+
+  test("Factories are looked up in the scope of their registration", function() {
+    var Session = factory();
+    container.register('session:current', Session, { scope: 'session' });
+
+    var scope = container.createScope('session');
+    var SessionFactory = scope.lookupFactory('session:current');
+
+    ok(SessionFactory.create() instanceof Session, 'the scoped factory is looked up within the scope');
+    equal(scope.createScope('modal').lookupFactory('session:current'), SessionFactory, 'the factory is found on the nearest matching ancestor scope');
+    equal(scope.lookupFactory('controller:post'), container.lookupFactory('controller:post'), 'unscoped factories are shared with the parent');
+
+    throws(function() {
+      container.lookupFactory('session:current');
+    }, /Attempting to lookup `session:current`, which is registered in the `session` scope, outside of a `session` scope/);
+  });
+
+  test("Scopes can be declared for a whole type", function() {
+    container.optionsForType('modal', { scope: 'modal' });
+    container.register('modal:confirm', factory());
+
+    var scope = container.createScope('modal');
+    var confirm = scope.lookup('modal:confirm');
+
+    ok(confirm, 'the instance is looked up within the scope');
+
+    throws(function() {
+      container.lookup('modal:confirm');
+    }, /outside of a `modal` scope/);
+  });
+}
@@ -14,10 +14,25 @@ import {
   default as DefaultResolver
 } from 'ember-application/system/resolver';
 import Application from 'ember-application/system/application';
+import ApplicationInstance from 'ember-application/system/application_instance';
+import ErrorReporter from 'ember-application/system/error_reporter';
+import HTMLSerializer from 'ember-application/system/html_serializer';
 import 'ember-application/ext/controller'; // side effect of extending ControllerMixin
 
 Ember.Application = Application;
 Ember.Resolver = Resolver;
 Ember.DefaultResolver = DefaultResolver;
 
+if (Ember.FEATURES.isEnabled('application-instance')) {
+  Ember.ApplicationInstance = ApplicationInstance;
+}
+
+if (Ember.FEATURES.isEnabled('error-reporter')) {
+  Ember.ErrorReporter = ErrorReporter;
+}
+
+if (Ember.FEATURES.isEnabled('application-visit')) {
+  Ember.HTMLSerializer = HTMLSerializer;
+}
+
 runLoadHooks('Ember.Application', Application);
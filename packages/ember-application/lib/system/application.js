@@ -12,9 +12,14 @@ import { set } from "ember-metal/property_set";
 import { runLoadHooks } from "ember-runtime/system/lazy_load";
 import Namespace from "ember-runtime/system/namespace";
 import DeferredMixin from "ember-runtime/mixins/deferred";
+import RSVP from "ember-runtime/ext/rsvp";
 import DefaultResolver from "ember-application/system/resolver";
+import ApplicationInstance from "ember-application/system/application_instance";
+import ErrorReporter from "ember-application/system/error_reporter";
+import HTMLSerializer from "ember-application/system/html_serializer";
 import { create } from "ember-metal/platform";
 import run from "ember-metal/run_loop";
+import { _instrumentStart } from "ember-metal/instrumentation";
 import { canInvoke } from "ember-metal/utils";
 import Controller from "ember-runtime/controllers/controller";
 import EnumerableUtils from "ember-metal/enumerable_utils";
@@ -265,13 +270,26 @@ var Application = Namespace.extend(DeferredMixin, {
     if (!this.$) {
       this.$ = jQuery;
     }
+
+    if (Ember.FEATURES.isEnabled('application-instance')) {
+      this._instances = [];
+    }
+
     this.__container__ = this.buildContainer();
 
     this.Router = this.defaultRouter();
 
     this._super();
 
-    this.scheduleInitialize();
+    if (Ember.FEATURES.isEnabled('application-visit')) {
+      this._bootDeferred = RSVP.defer('Ember: Application boot');
+
+      if (this.autoboot) {
+        this.scheduleInitialize();
+      }
+    } else {
+      this.scheduleInitialize();
+    }
 
     Ember.libraries.registerCoreLibrary('Handlebars' + (EmberHandlebars.compile ? '' : '-runtime'), EmberHandlebars.VERSION);
     Ember.libraries.registerCoreLibrary('jQuery', jQuery().jquery);
@@ -307,6 +325,14 @@ var Application = Namespace.extend(DeferredMixin, {
   buildContainer: function() {
     var container = this.__container__ = Application.buildContainer(this);
 
+    if (Ember.FEATURES.isEnabled('application-instance')) {
+      // The instance the application boots itself shares its container
+      this.__instance__ = ApplicationInstance.create({
+        application: this,
+        container: container
+      });
+    }
+
     return container;
   },
 
@@ -559,6 +585,11 @@ var Application = Namespace.extend(DeferredMixin, {
   _initialize: function() {
     if (this.isDestroyed) { return; }
 
+    if (Ember.FEATURES.isEnabled('error-reporter')) {
+      // Start receiving errors before the initializers run
+      this.__container__.lookup('service:errors');
+    }
+
     // At this point, the App.Router must already be assigned
     if (this.Router) {
       var container = this.__container__;
@@ -569,6 +600,14 @@ var Application = Namespace.extend(DeferredMixin, {
     this.runInitializers();
     runLoadHooks('application', this);
 
+    if (Ember.FEATURES.isEnabled('container-validate')) {
+      var app = this;
+
+      Ember.runInDebug(function() {
+        app.__container__.validate();
+      });
+    }
+
     // At this point, any initializers or load hooks that would have wanted
     // to defer readiness have fired. In general, advancing readiness here
     // will proceed to didBecomeReady.
@@ -650,10 +689,15 @@ var Application = Namespace.extend(DeferredMixin, {
     this._readinessDeferrals = 1;
 
     function handleReset() {
-      var router = this.__container__.lookup('router:main');
-      router.reset();
-
-      run(this.__container__, 'destroy');
+      if (Ember.FEATURES.isEnabled('application-instance')) {
+        this._destroyInstances();
+        run(this.__instance__, 'destroy');
+      } else {
+        var router = this.__container__.lookup('router:main');
+        router.reset();
+
+        run(this.__container__, 'destroy');
+      }
 
       this.buildContainer();
 
@@ -682,6 +726,18 @@ var Application = Namespace.extend(DeferredMixin, {
       graph.addEdges(initializer.name, initializer.initialize, initializer.before, initializer.after);
     }
 
+    if (Ember.FEATURES.isEnabled('application-async-initializers')) {
+      var vertices = [];
+
+      graph.topsort(function (vertex) {
+        Ember.assert("No application initializer named '" + vertex.name + "'", vertex.value);
+        vertices.push(vertex);
+      });
+
+      runSortedInitializers(this, container, vertices);
+      return;
+    }
+
     graph.topsort(function (vertex) {
       var initializer = vertex.value;
       Ember.assert("No application initializer named '" + vertex.name + "'", initializer);
@@ -694,9 +750,25 @@ var Application = Namespace.extend(DeferredMixin, {
     @method didBecomeReady
   */
   didBecomeReady: function() {
-    this.setupEventDispatcher();
+    var autoboot = true;
+
+    if (Ember.FEATURES.isEnabled('application-visit')) {
+      autoboot = this.autoboot;
+    }
+
+    if (autoboot) {
+      if (Ember.FEATURES.isEnabled('application-instance-initializers')) {
+        this.runInstanceInitializers(this.__instance__);
+      }
+
+      this.setupEventDispatcher();
+    }
+
     this.ready(); // user hook
-    this.startRouting();
+
+    if (autoboot) {
+      this.startRouting();
+    }
 
     if (!Ember.testing) {
       // Eagerly name all classes that are already loaded
@@ -705,6 +777,11 @@ var Application = Namespace.extend(DeferredMixin, {
     }
 
     this.resolve(this);
+
+    if (Ember.FEATURES.isEnabled('application-visit')) {
+      // The application itself is a thenable, so it can't be the value
+      this._bootDeferred.resolve();
+    }
   },
 
   /**
@@ -716,6 +793,12 @@ var Application = Namespace.extend(DeferredMixin, {
     @method setupEventDispatcher
   */
   setupEventDispatcher: function() {
+    if (Ember.FEATURES.isEnabled('application-instance')) {
+      this.__instance__.setupEventDispatcher();
+      set(this, 'eventDispatcher', get(this.__instance__, 'eventDispatcher'));
+      return;
+    }
+
     var customEvents = get(this, 'customEvents');
     var rootElement = get(this, 'rootElement');
     var dispatcher = this.__container__.lookup('event_dispatcher:main');
@@ -733,6 +816,11 @@ var Application = Namespace.extend(DeferredMixin, {
     @property router {Ember.Router}
   */
   startRouting: function() {
+    if (Ember.FEATURES.isEnabled('application-instance')) {
+      this.__instance__.startRouting();
+      return;
+    }
+
     var router = this.__container__.lookup('router:main');
     if (!router) { return; }
 
@@ -740,6 +828,11 @@ var Application = Namespace.extend(DeferredMixin, {
   },
 
   handleURL: function(url) {
+    if (Ember.FEATURES.isEnabled('application-instance')) {
+      this.__instance__.handleURL(url);
+      return;
+    }
+
     var router = this.__container__.lookup('router:main');
 
     router.handleURL(url);
@@ -771,6 +864,13 @@ var Application = Namespace.extend(DeferredMixin, {
 
   willDestroy: function() {
     Ember.BOOTED = false;
+
+    if (Ember.FEATURES.isEnabled('application-instance')) {
+      this._destroyInstances();
+      run(this.__instance__, 'destroy');
+      return;
+    }
+
     // Ensure deactivation of routes before objects are destroyed
     this.__container__.lookup('router:main').reset();
 
@@ -913,6 +1013,29 @@ Application.reopenClass({
     });
     ```
 
+    An initializer may also return a promise. The application then waits for
+    it to be fulfilled before running the initializers that come after it
+    and becoming ready. If the promise is rejected, or the initializer throws,
+    the error is reported with the name of the initializer in its
+    `initializer` property:
+
+    ```javascript
+    Ember.Application.initializer({
+      name: 'session',
+      before: 'preload-data',
+
+      initialize: function(container, application) {
+        return Ember.$.getJSON('/session').then(function(session) {
+          application.register('session:main', session, { instantiate: false });
+        });
+      }
+    });
+    ```
+
+    Every initializer runs inside an `application.initializer`
+    instrumentation event, whose payload contains its `name`, so that its
+    duration can be measured with `Ember.subscribe`.
+
     @method initializer
     @param initializer {Object}
    */
@@ -994,6 +1117,14 @@ Application.reopenClass({
     container.injection('controller', 'target', 'router:main');
     container.injection('controller', 'namespace', 'application:main');
 
+    if (Ember.FEATURES.isEnabled('error-reporter')) {
+      container.register('service:errors', ErrorReporter);
+    }
+
+    if (Ember.FEATURES.isEnabled('application-visit')) {
+      container.register('serializer:main', HTMLSerializer);
+    }
+
     container.register('-bucket-cache:main', BucketCache);
     container.injection('router', '_bucketCache', '-bucket-cache:main');
     container.injection('route',  '_bucketCache', '-bucket-cache:main');
@@ -1014,6 +1145,349 @@ Application.reopenClass({
   }
 });
 
+if (Ember.FEATURES.isEnabled('application-instance')) {
+  Application.reopen({
+    /**
+      Creates a new `Ember.ApplicationInstance` of this application, with its
+      own container, router and event dispatcher. Instances inherit the
+      registrations and injections of the application, so they should be
+      built once the application is ready.
+
+      ```javascript
+      var preview = App.buildInstance({ rootElement: '#preview' }).boot();
+      preview.handleURL('/posts/1');
+      ```
+
+      Instances are destroyed along with the application, and when it is
+      reset.
+
+      @method buildInstance
+      @param {Object} options properties of the instance, like its
+        `rootElement` and `customEvents`
+      @return {Ember.ApplicationInstance} the instance
+    */
+    buildInstance: function(options) {
+      Ember.assert("You cannot build an instance of a destroyed application", !this.isDestroyed && !this.isDestroying);
+
+      var instance = ApplicationInstance.create(options || {}, { application: this });
+
+      this._instances.push(instance);
+
+      return instance;
+    },
+
+    _destroyInstances: function() {
+      var instances = this._instances.slice();
+
+      for (var i = 0, l = instances.length; i < l; i++) {
+        run(instances[i], 'destroy');
+      }
+    }
+  });
+}
+
+if (Ember.FEATURES.isEnabled('application-visit')) {
+  Application.reopen({
+    /**
+      Whether the application boots itself as soon as the DOM is ready, by
+      setting up its event dispatcher on its `rootElement` and routing to the
+      URL of the page.
+
+      Set it to `false` to render the application without touching the
+      document of the page, for example to pre-render its pages on the
+      server with `visit`:
+
+      ```javascript
+      var App = Ember.Application.create({ autoboot: false });
+
+      App.visit('/posts/1').then(function(html) {
+        // html is the rendered markup of the application at '/posts/1'
+      });
+      ```
+
+      @property autoboot
+      @type Boolean
+      @default true
+    */
+    autoboot: true,
+
+    /**
+      Runs the initializers of an application created with `autoboot: false`,
+      without touching the document of the page. It is called by `visit`, and
+      does nothing more once the application is ready.
+
+      @method boot
+      @return {Promise} a promise that resolves once the application is ready,
+        or rejects with the error that failed its initialization
+    */
+    boot: function() {
+      if (!this.autoboot && !this._booting) {
+        this._booting = true;
+        run.join(this, bootOrReject);
+      }
+
+      return this._bootDeferred.promise;
+    },
+
+    /**
+      Boots the application if needed, and renders it at `url` with a new
+      `Ember.ApplicationInstance` whose views are rendered into the body of a
+      detached document, so that the document of the page is left untouched.
+      The instance is destroyed once it has been rendered.
+
+      Where there is no global `document`, as on the server, pass the
+      document to render into:
+
+      ```javascript
+      App.visit('/posts/1', { document: createDocument() });
+      ```
+
+      The rendered elements are turned into HTML by the serializer
+      registered as `serializer:main`, an `Ember.HTMLSerializer` by default.
+
+      @method visit
+      @param {String} url
+      @param {Object} [options]
+        @param {Document} [options.document] the document to render into.
+          Defaults to a new document created with the global `document`.
+      @return {Promise} a promise that resolves with the HTML rendered by the
+        application at `url`
+    */
+    visit: function(url, options) {
+      var application = this;
+      var doc = options && options.document;
+
+      return this.boot().then(function() {
+        var rootElement = (doc || createDetachedDocument()).body;
+        var instance = application.buildInstance({ rootElement: rootElement });
+
+        return instance.visit(url).then(function() {
+          return instance.container.lookup('serializer:main').serializeChildren(rootElement);
+        })['finally'](function() {
+          run(instance, 'destroy');
+        });
+      });
+    }
+  });
+
+  // Errors thrown while booting reject the boot promise rather than the
+  // caller of `boot`
+  var bootOrReject = function() {
+    try {
+      this._initialize();
+    } catch (error) {
+      this._bootDeferred.reject(error);
+    }
+  };
+
+  // A document that is not displayed, to render into without touching the
+  // document of the page
+  var createDetachedDocument = function() {
+    return document.implementation.createHTMLDocument('');
+  };
+}
+
+if (Ember.FEATURES.isEnabled('application-async-initializers')) {
+  // Runs the sorted initializers. An initializer that returns a promise
+  // defers readiness until it is fulfilled, and the initializers that depend
+  // on it, through their `before` and `after` attributes, only run then. The
+  // other initializers don't wait for it.
+  var runSortedInitializers = function(application, container, vertices) {
+    var done = {};
+    var pending = [];
+    var vertex, dependencies, result;
+
+    for (var i = 0; i < vertices.length; i++) {
+      vertex = vertices[i];
+      dependencies = pendingDependencies(vertex, done);
+
+      if (dependencies.length) {
+        result = runAfterDependencies(application, container, vertex, dependencies);
+      } else {
+        result = runInitializer(application, container, vertex.name, vertex.value);
+      }
+
+      if (result) {
+        done[vertex.name] = result;
+        pending.push(result);
+      }
+    }
+
+    if (pending.length) {
+      waitForInitializers(application, container, pending);
+    }
+  };
+
+  // The promises of the initializers `vertex` depends on that are not settled
+  // yet, as far as the initializers know
+  var pendingDependencies = function(vertex, done) {
+    var dependencies = [];
+    var names = vertex.incomingNames;
+
+    for (var i = 0; i < names.length; i++) {
+      if (done[names[i]]) {
+        dependencies.push(done[names[i]]);
+      }
+    }
+
+    return dependencies;
+  };
+
+  var runAfterDependencies = function(application, container, vertex, dependencies) {
+    return RSVP.all(dependencies).then(function() {
+      // The application was reset or destroyed while waiting
+      if (isStale(application, container)) { return; }
+
+      return runInitializer(application, container, vertex.name, vertex.value);
+    }, null, "Ember: initializer '" + vertex.name + "' dependencies");
+  };
+
+  // A rejection fails the boot of the application, which never becomes
+  // ready, and is rethrown so that it is reported like any other unhandled
+  // promise rejection (see `RSVP.onerrorDefault`).
+  var waitForInitializers = function(application, container, pending) {
+    application.deferReadiness();
+
+    RSVP.all(pending).then(function() {
+      if (isStale(application, container)) { return; }
+
+      application.advanceReadiness();
+    }, function(error) {
+      if (!isStale(application, container)) {
+        failBoot(application, error);
+      }
+
+      throw error;
+    }, "Ember: initializers");
+  };
+
+  var failBoot = function(application, error) {
+    if (Ember.FEATURES.isEnabled('application-visit')) {
+      // The error is already reported once, by `waitForInitializers`
+      application._bootDeferred.promise['catch'](K);
+      application._bootDeferred.reject(error);
+    }
+  };
+
+  var isStale = function(application, container) {
+    return application.isDestroyed || application.__container__ !== container;
+  };
+
+  // Runs a single initializer inside an `application.initializer`
+  // instrumentation event, which lasts until the promise it returns, if any,
+  // is settled. Returns that promise.
+  var runInitializer = function(application, container, name, initializer) {
+    var payload = { name: name, object: name };
+    var finalizer = _instrumentStart('application.initializer', function() {
+      return payload;
+    });
+    var result;
+
+    try {
+      result = initializer(container, application);
+    } catch (error) {
+      payload.exception = error;
+      if (finalizer) { finalizer(); }
+      throw tagInitializerError(name, error);
+    }
+
+    if (!result || typeof result.then !== 'function') {
+      if (finalizer) { finalizer(); }
+      return;
+    }
+
+    return RSVP.resolve(result).then(function() {
+      if (finalizer) { finalizer(); }
+    }, function(error) {
+      payload.exception = error;
+      if (finalizer) { finalizer(); }
+      throw tagInitializerError(name, error);
+    });
+  };
+
+  // The errors of an initializer are thrown again as they are, so that they
+  // keep their type and stack, with the name of the initializer on them
+  var tagInitializerError = function(name, error) {
+    if (error && typeof error === 'object') {
+      error.initializer = name;
+    }
+
+    return error;
+  };
+}
+
+if (Ember.FEATURES.isEnabled('application-instance-initializers')) {
+  Application.reopen({
+    /**
+      Runs the instance initializers of the application against `instance`,
+      ordered by their `before` and `after` attributes.
+
+      @private
+      @method runInstanceInitializers
+      @param instance {Ember.ApplicationInstance}
+    */
+    runInstanceInitializers: function(instance) {
+      var initializersByName = get(this.constructor, 'instanceInitializers');
+      var initializers = props(initializersByName);
+      var graph = new DAG();
+      var initializer;
+
+      for (var i = 0; i < initializers.length; i++) {
+        initializer = initializersByName[initializers[i]];
+        graph.addEdges(initializer.name, initializer.initialize, initializer.before, initializer.after);
+      }
+
+      graph.topsort(function (vertex) {
+        var initializer = vertex.value;
+        Ember.assert("No instance initializer named '" + vertex.name + "'", initializer);
+        initializer(instance);
+      });
+    }
+  });
+
+  Application.reopenClass({
+    instanceInitializers: create(null),
+
+    /**
+      Instance initializers are like initializers, except that they are
+      passed an `Ember.ApplicationInstance` instead of the container and the
+      application. They run every time the application boots, including after
+      each `reset`, and whenever an instance built with `buildInstance` boots,
+      so they are the place for work that needs the live container of the
+      instance:
+
+      ```javascript
+      Ember.Application.instanceInitializer({
+        name: 'session',
+
+        initialize: function(instance) {
+          instance.container.lookup('service:session').restore();
+        }
+      });
+      ```
+
+      They run after all of the initializers, and are ordered among
+      themselves with `before` and `after`, like initializers.
+
+      @method instanceInitializer
+      @param instanceInitializer {Object}
+    */
+    instanceInitializer: function(initializer) {
+      // Give subclasses their own `instanceInitializers`, see `initializer`
+      if (this.superclass.instanceInitializers !== undefined && this.superclass.instanceInitializers === this.instanceInitializers) {
+        this.reopenClass({
+          instanceInitializers: create(this.instanceInitializers)
+        });
+      }
+
+      Ember.assert("The instance initializer '" + initializer.name + "' has already been registered", !this.instanceInitializers[initializer.name]);
+      Ember.assert("An instance initializer cannot be registered without an initialize function", canInvoke(initializer, 'initialize'));
+
+      this.instanceInitializers[initializer.name] = initializer;
+    }
+  });
+}
+
 /**
   This function defines the default lookup rules for container lookups:
 
@@ -1061,6 +1535,44 @@ function resolverFor(namespace) {
     }
   };
 
+  if (Ember.FEATURES.isEnabled('container-lookup-async')) {
+    resolve.resolveAsync = function(fullName) {
+      if (resolver.resolveAsync) {
+        return resolver.resolveAsync(fullName);
+      } else {
+        return RSVP.resolve(resolver.resolve(fullName));
+      }
+    };
+
+    resolve.bundleFor = function(fullName) {
+      if (resolver.bundleFor) {
+        return resolver.bundleFor(resolver.parseName(fullName));
+      }
+    };
+  }
+
+  if (Ember.FEATURES.isEnabled('routing-lazy-bundles')) {
+    resolve.loadBundle = function(bundleName) {
+      if (resolver._loadBundle) {
+        return resolver._loadBundle(bundleName);
+      } else {
+        return RSVP.resolve(resolver.loadBundle && resolver.loadBundle(bundleName));
+      }
+    };
+  }
+
+  if (Ember.FEATURES.isEnabled('resolver-lookup-report')) {
+    resolve.peek = function(fullName) {
+      return resolver.peek ? resolver.peek(fullName) : resolver.resolve(fullName);
+    };
+
+    resolve.didGenerate = function(fullName) {
+      if (resolver.didGenerate) {
+        resolver.didGenerate(fullName);
+      }
+    };
+  }
+
   resolve.__resolver__ = resolver;
 
   return resolve;
@@ -0,0 +1,272 @@
+/**
+@module ember
+@submodule ember-application
+*/
+
+import Ember from "ember-metal/core"; // Ember.FEATURES
+import { get } from "ember-metal/property_get";
+import { set } from "ember-metal/property_set";
+import { computed } from "ember-metal/computed";
+import merge from "ember-metal/merge";
+import dictionary from "ember-metal/dictionary";
+import { indexOf } from "ember-metal/enumerable_utils";
+import run from "ember-metal/run_loop";
+import EmberObject from "ember-runtime/system/object";
+import RSVP from "ember-runtime/ext/rsvp";
+
+/**
+  The `ApplicationInstance` encapsulates all of the stateful aspects of a
+  running `Ember.Application`: its container, router and event dispatcher.
+
+  The `Ember.Application` holds the registrations, injections and
+  initializers that are shared by every instance. Use its `buildInstance`
+  method to create an instance that can run side by side with the
+  application and with other instances:
+
+  ```javascript
+  var instance = App.buildInstance({ rootElement: '#preview' });
+
+  instance.boot();
+  instance.handleURL('/posts/1');
+
+  // later
+  instance.destroy();
+  ```
+
+  Singletons looked up by an instance, like its controllers and routes, are
+  not shared with the application or with other instances, and are
+  destroyed along with the instance.
+
+  @class ApplicationInstance
+  @namespace Ember
+  @extends Ember.Object
+*/
+var ApplicationInstance = EmberObject.extend({
+  /**
+    The application this is an instance of.
+
+    @property application
+    @type Ember.Application
+  */
+  application: null,
+
+  /**
+    The container of this instance. Unless one is provided, it is a child
+    of the application's container with its own caches, so that it
+    inherits every registration and injection of the application.
+
+    @property container
+    @type Ember.Container
+  */
+  container: null,
+
+  /**
+    The DOM element the views of this instance are appended to and the
+    event dispatcher listens on. Defaults to the `rootElement` of the
+    application.
+
+    @property rootElement
+    @type DOMElement
+    @default null
+  */
+  rootElement: null,
+
+  /**
+    The DOM events for which the event dispatcher should listen, in
+    addition to the `customEvents` of the application.
+
+    @property customEvents
+    @type Object
+    @default null
+  */
+  customEvents: null,
+
+  /**
+    The event dispatcher of this instance, once it has been set up.
+
+    @property eventDispatcher
+    @type Ember.EventDispatcher
+    @default null
+  */
+  eventDispatcher: null,
+
+  init: function() {
+    this._super();
+
+    if (!this.container) {
+      this.container = buildInstanceContainer(this.application.__container__);
+    }
+  },
+
+  /**
+    The router of this instance.
+
+    @property router
+    @type Ember.Router
+  */
+  router: computed(function() {
+    return this.container.lookup('router:main');
+  }),
+
+  /**
+    Runs the instance initializers of the application, sets up the event
+    dispatcher and routes to the current URL.
+
+    @method boot
+    @return {Ember.ApplicationInstance} the instance
+  */
+  boot: function() {
+    if (Ember.FEATURES.isEnabled('application-instance-initializers')) {
+      this.application.runInstanceInitializers(this);
+    }
+
+    this.setupEventDispatcher();
+    this.startRouting();
+
+    return this;
+  },
+
+  /**
+    Sets up the event dispatcher to receive events on the instance's
+    `rootElement`.
+
+    @method setupEventDispatcher
+  */
+  setupEventDispatcher: function() {
+    var application = this.application;
+    var customEvents = get(application, 'customEvents');
+    var ownCustomEvents = get(this, 'customEvents');
+    var rootElement = get(this, 'rootElement') || get(application, 'rootElement');
+    var dispatcher = this.container.lookup('event_dispatcher:main');
+
+    if (ownCustomEvents) {
+      customEvents = merge(merge({}, customEvents), ownCustomEvents);
+    }
+
+    set(this, 'eventDispatcher', dispatcher);
+    dispatcher.setup(customEvents, rootElement);
+  },
+
+  /**
+    If the application has a router, uses it to route to the current URL,
+    and to follow later changes of the URL.
+
+    @method startRouting
+    @return {Transition} the initial transition
+  */
+  startRouting: function() {
+    var router = get(this, 'router');
+    if (!router) { return; }
+
+    var rootElement = get(this, 'rootElement');
+    if (rootElement) {
+      set(router, 'rootElement', rootElement);
+    }
+
+    return router.startRouting();
+  },
+
+  /**
+    Routes the instance to `url`.
+
+    @method handleURL
+    @param {String} url
+  */
+  handleURL: function(url) {
+    var router = get(this, 'router');
+
+    router.handleURL(url);
+  },
+
+  willDestroy: function() {
+    var instances = this.application._instances;
+    var index = indexOf(instances, this);
+    var router = this.container.lookup('router:main');
+
+    if (index !== -1) { instances.splice(index, 1); }
+
+    // Ensure deactivation of routes before objects are destroyed
+    if (router) { router.reset(); }
+
+    this.container.destroy();
+  }
+});
+
+if (Ember.FEATURES.isEnabled('application-visit')) {
+  ApplicationInstance.reopen({
+    /**
+      Routes the instance to `url` without touching the document of the page:
+      the router uses an `Ember.NoneLocation`, no event dispatcher is set up,
+      and the views are rendered into the `rootElement` of the instance, which
+      should be a detached element.
+
+      It must be called instead of `boot`, before the router of the instance
+      has been looked up.
+
+      @method visit
+      @param {String} url
+      @return {Promise} a promise that resolves with the instance once the
+        transition to `url` has completed and its views have been rendered
+    */
+    visit: function(url) {
+      var instance = this;
+      var container = this.container;
+
+      Ember.assert("You cannot visit a URL with an instance whose router has already been set up", !container.cache['router:main']);
+
+      container.register('-location-setting:implementation', 'none', { instantiate: false });
+      injectInstance(container, 'router:main', 'location', '-location-setting:implementation');
+      set(get(this, 'router'), 'initialURL', url);
+
+      if (Ember.FEATURES.isEnabled('application-instance-initializers')) {
+        this.application.runInstanceInitializers(this);
+      }
+
+      return RSVP.resolve(this.startRouting()).then(function() {
+        return new RSVP.Promise(function(resolve) {
+          run.schedule('afterRender', null, resolve, instance);
+        });
+      });
+    }
+  });
+
+  // `injection` is not supported on child containers, but instance containers
+  // have injections of their own, which inherit from those of the application
+  var injectInstance = function(container, fullName, property, injectionName) {
+    var injections = container.injections[fullName] || [];
+
+    container.injections[fullName] = injections.concat({
+      property: property,
+      fullName: injectionName
+    });
+  };
+}
+
+// Instances inherit the registrations and injections of the application,
+// but don't share its singletons or injected factories.
+function buildInstanceContainer(applicationContainer) {
+  var container = applicationContainer.child();
+
+  container.cache = dictionary(null);
+  container.factoryCache = dictionary(null);
+  container.injections = dictionary(applicationContainer.injections);
+  container.factoryInjections = dictionary(applicationContainer.factoryInjections);
+
+  container.normalizeFullName = applicationContainer.normalizeFullName;
+  container.describe = applicationContainer.describe;
+  container.makeToString = applicationContainer.makeToString;
+
+  if (Ember.FEATURES.isEnabled('error-reporter')) {
+    // Errors are reported once per application, not once per instance, so
+    // the instances share the service of the application without
+    // destroying it
+    var errors = applicationContainer.lookup('service:errors');
+
+    container.register('service:errors', errors, { instantiate: false });
+    container.cache['service:errors'] = errors;
+  }
+
+  return container;
+}
+
+export default ApplicationInstance;
@@ -0,0 +1,207 @@
+/**
+@module ember
+@submodule ember-application
+*/
+
+import { get } from "ember-metal/property_get";
+import dictionary from "ember-metal/dictionary";
+import { indexOf } from "ember-metal/enumerable_utils";
+import {
+  addErrorReporter,
+  removeErrorReporter
+} from "ember-metal/error_reporting";
+import EmberObject from "ember-runtime/system/object";
+
+/**
+  The `ErrorReporter` receives the errors of every channel through which
+  Ember surfaces them:
+
+  * `promise`: unhandled promise rejections
+  * `route`: errors bubbling to the top of the `error` action of the
+    application's routers
+  * `run-loop`: errors thrown while flushing the run loop, which are also
+    passed to `Ember.onerror`
+
+  Every application registers one as `service:errors`, which its
+  `Ember.ApplicationInstance`s share. It tags each error
+  with its source, the name of the current route and a breadcrumb of the
+  recent transitions and actions, and passes the resulting report to its
+  reporters. Repeats of an error that has already been reported only
+  increment the `count` of its report.
+
+  ```javascript
+  Ember.Application.initializer({
+    name: 'error-tracking',
+
+    initialize: function(container) {
+      container.lookup('service:errors').addReporter(function(report) {
+        Ember.$.post('/errors', {
+          message: report.message,
+          source: report.source,
+          route: report.route,
+          breadcrumbs: JSON.stringify(report.breadcrumbs)
+        });
+      });
+    }
+  });
+  ```
+
+  @class ErrorReporter
+  @namespace Ember
+  @extends Ember.Object
+*/
+var ErrorReporter = EmberObject.extend({
+  /**
+    The number of breadcrumbs to keep.
+
+    @property maxBreadcrumbs
+    @type Number
+    @default 20
+  */
+  maxBreadcrumbs: 20,
+
+  /**
+    Whether to report the errors thrown in the run loop. Ember has to catch
+    them to do so, and only does while an `ErrorReporter` asks for it. They
+    are then passed to `Ember.onerror`, or thrown again if it isn't set.
+
+    @property catchRunLoopErrors
+    @type Boolean
+    @default true
+  */
+  catchRunLoopErrors: true,
+
+  /**
+    The functions that are called with every new report.
+
+    @property reporters
+    @type Array
+  */
+  reporters: null,
+
+  /**
+    The recent breadcrumbs, oldest first.
+
+    @property breadcrumbs
+    @type Array
+  */
+  breadcrumbs: null,
+
+  init: function() {
+    this._super();
+
+    this.reporters = this.reporters ? this.reporters.slice() : [];
+    this.breadcrumbs = [];
+    this._reports = dictionary(null);
+
+    addErrorReporter(this, { runLoop: get(this, 'catchRunLoopErrors') });
+  },
+
+  /**
+    Adds a function to call with every new report.
+
+    @method addReporter
+    @param {Function} reporter
+  */
+  addReporter: function(reporter) {
+    this.reporters.push(reporter);
+  },
+
+  /**
+    Removes a function added with `addReporter`.
+
+    @method removeReporter
+    @param {Function} reporter
+  */
+  removeReporter: function(reporter) {
+    var index = indexOf(this.reporters, reporter);
+
+    if (index !== -1) {
+      this.reporters.splice(index, 1);
+    }
+  },
+
+  /**
+    Records something the user did, to be reported along with the errors that
+    follow it. The router leaves a breadcrumb for every transition and every
+    action it receives.
+
+    @method leaveBreadcrumb
+    @param {String} message
+    @param {String} [category='manual']
+  */
+  leaveBreadcrumb: function(message, category) {
+    var breadcrumbs = this.breadcrumbs;
+
+    breadcrumbs.push({
+      message: message,
+      category: category || 'manual',
+      timestamp: +new Date()
+    });
+
+    if (breadcrumbs.length > get(this, 'maxBreadcrumbs')) {
+      breadcrumbs.shift();
+    }
+  },
+
+  /**
+    Reports an error. A report is an object with the following properties:
+
+    * `error`: the error
+    * `message`: the message of the error
+    * `source`: the channel the error was received from, `manual` when it is
+      reported by the application itself
+    * `route`: the name of the current route, if any
+    * `breadcrumbs`: the breadcrumbs at the time of the error
+    * `count`: the number of times the error was reported
+
+    @method report
+    @param {Error} error
+    @param {String} [source='manual']
+    @return {Object} the report of the error
+  */
+  report: function(error, source) {
+    var message = error && error.message || String(error);
+    var key = message + '\n' + (error && error.stack || '');
+    var report = this._reports[key];
+
+    if (report) {
+      report.count++;
+      return report;
+    }
+
+    report = this._reports[key] = {
+      error: error,
+      message: message,
+      source: source || 'manual',
+      route: currentRouteName(this.container),
+      breadcrumbs: this.breadcrumbs.slice(),
+      count: 1
+    };
+
+    var reporters = this.reporters.slice();
+
+    for (var i = 0, l = reporters.length; i < l; i++) {
+      reporters[i](report);
+    }
+
+    return report;
+  },
+
+  willDestroy: function() {
+    removeErrorReporter(this);
+  }
+});
+
+// Only looks at a router that already exists, nothing is instantiated while
+// reporting an error
+function currentRouteName(container) {
+  var router = container && container.cache['router:main'];
+  var handlerInfos = router && router.router && router.router.currentHandlerInfos;
+
+  if (handlerInfos && handlerInfos.length) {
+    return handlerInfos[handlerInfos.length - 1].name;
+  }
+}
+
+export default ErrorReporter;
@@ -0,0 +1,119 @@
+/**
+@module ember
+@submodule ember-application
+*/
+
+import EmberObject from "ember-runtime/system/object";
+
+// Elements that have no closing tag
+var VOID_ELEMENTS = {
+  area: true, base: true, br: true, col: true, command: true, embed: true,
+  hr: true, img: true, input: true, keygen: true, link: true, meta: true,
+  param: true, source: true, track: true, wbr: true
+};
+
+// Elements whose text is not escaped
+var RAW_TEXT_ELEMENTS = { script: true, style: true };
+
+/**
+  Turns the elements an application rendered into HTML. `Ember.Application#visit`
+  looks it up as `serializer:main` to serialize the root element of the
+  application once it has been rendered.
+
+  It only walks the nodes through `nodeType`, `tagName`, `attributes`,
+  `firstChild`, `nextSibling` and `nodeValue`, so that it can serialize the
+  documents of the browser as well as the simpler documents used to render
+  on the server, which have no `innerHTML`. Register another serializer to
+  change how the HTML is produced:
+
+  ```javascript
+  App.register('serializer:main', {
+    serializeChildren: function(element) {
+      return new SimpleDOM.HTMLSerializer(SimpleDOM.voidMap).serializeChildren(element);
+    }
+  }, { instantiate: false });
+  ```
+
+  @class HTMLSerializer
+  @namespace Ember
+  @extends Ember.Object
+*/
+var HTMLSerializer = EmberObject.extend({
+  /**
+    Returns the HTML of the children of `element`.
+
+    @method serializeChildren
+    @param {Element} element
+    @return {String}
+  */
+  serializeChildren: function(element) {
+    var raw = RAW_TEXT_ELEMENTS[tagNameOf(element)];
+    var html = '';
+
+    for (var node = element.firstChild; node; node = node.nextSibling) {
+      html += this.serialize(node, raw);
+    }
+
+    return html;
+  },
+
+  /**
+    Returns the HTML of `node`.
+
+    @method serialize
+    @param {Node} node
+    @param {Boolean} [raw] whether the text of the node is not escaped
+    @return {String}
+  */
+  serialize: function(node, raw) {
+    switch (node.nodeType) {
+      case 1:
+        return this.serializeElement(node);
+      case 3:
+        return raw ? node.nodeValue : escapeText(node.nodeValue);
+      case 8:
+        return '<!--' + node.nodeValue + '-->';
+      default:
+        return this.serializeChildren(node);
+    }
+  },
+
+  /**
+    Returns the HTML of `element`, its attributes and its children.
+
+    @method serializeElement
+    @param {Element} element
+    @return {String}
+  */
+  serializeElement: function(element) {
+    var tagName = tagNameOf(element);
+    var attributes = element.attributes;
+    var html = '<' + tagName;
+
+    for (var i = 0, l = attributes.length; i < l; i++) {
+      html += ' ' + attributes[i].name + '="' + escapeAttribute(attributes[i].value) + '"';
+    }
+
+    html += '>';
+
+    if (VOID_ELEMENTS[tagName]) {
+      return html;
+    }
+
+    return html + this.serializeChildren(element) + '</' + tagName + '>';
+  }
+});
+
+function tagNameOf(element) {
+  return element.tagName ? element.tagName.toLowerCase() : '';
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+export default HTMLSerializer;
@@ -5,15 +5,22 @@
 
 import Ember from 'ember-metal/core'; // Ember.TEMPLATES, Ember.assert
 import { get } from 'ember-metal/property_get';
+import { set } from 'ember-metal/property_set';
+import { map, indexOf } from 'ember-metal/enumerable_utils';
 import Logger from 'ember-metal/logger';
 import {
   classify,
   capitalize,
+  camelize,
   decamelize
 } from 'ember-runtime/system/string';
 import EmberObject from 'ember-runtime/system/object';
 import Namespace from 'ember-runtime/system/namespace';
 import EmberHandlebars from 'ember-handlebars';
+import RSVP from 'ember-runtime/ext/rsvp';
+import run from 'ember-metal/run_loop';
+import jQuery from 'ember-views/system/jquery';
+import { normalizeNamespace } from 'container/container';
 
 export var Resolver = EmberObject.extend({
   /**
@@ -57,6 +64,19 @@ export var Resolver = EmberObject.extend({
 
   Its last resort is to call the `resolveOther` method.
 
+  Templates and other names are looked up with each of the
+  `lookupStrategies` in turn. The `pod` strategy finds code organized
+  by feature, and the `classic` strategy the conventional globals:
+
+  ```
+  'template:posts/index'    //=> Ember.TEMPLATES['posts/index/template']
+                            //   OR
+                            //   Ember.TEMPLATES['posts/index']
+  'controller:posts.index'  //=> App.Pods.Posts.Index.Controller
+                            //   OR
+                            //   App.PostsIndexController
+  ```
+
   The methods of this object are designed to be easy to override
   in a subclass. For example, you could enhance how a template
   is resolved like so:
@@ -98,13 +118,22 @@ export var Resolver = EmberObject.extend({
   'model:post'              //=> App.Post
   ```
 
+  Names can be prefixed with the name of the namespace they should be
+  looked up in:
+
+  ```
+  'admin@controller:users'  //=> Admin.UsersController
+  'controller:admin@users'  //=> Admin.UsersController
+  'admin@template:users'    //=> Ember.TEMPLATES['admin/users']
+  ```
+
   @class DefaultResolver
   @namespace Ember
   @extends Ember.Object
 */
 import dictionary from 'ember-metal/dictionary';
 
-export default EmberObject.extend({
+var DefaultResolver = EmberObject.extend({
   /**
     This will be set to the Application instance when it is
     created.
@@ -113,10 +142,63 @@ export default EmberObject.extend({
   */
   namespace: null,
 
+  /**
+    The strategies used to look up templates and other names, in order
+    of precedence. A strategy named `foo` is implemented by the
+    `resolveFooTemplate`, `resolveFooOther` and `describeFoo` methods.
+
+    Names that are not found are described by the last strategy, the
+    fallback. Set it to `['classic', 'pod']` to prefer the classic globals
+    over pods.
+
+    @property lookupStrategies
+    @type Array
+    @default ['pod', 'classic']
+  */
+  lookupStrategies: null,
+
+  /**
+    The property of a namespace holding its pods, used by the `pod`
+    lookup strategy.
+
+    @property podNamespaceName
+    @type String
+    @default 'Pods'
+  */
+  podNamespaceName: 'Pods',
+
   init: function() {
     this._parseNameCache = dictionary(null);
+
+    if (Ember.FEATURES.isEnabled('container-lookup-async')) {
+      this._bundles = dictionary(null);
+    }
+
+    if (Ember.FEATURES.isEnabled('resolver-pods')) {
+      var strategies = get(this, 'lookupStrategies');
+
+      // Each resolver gets its own copy, so that changing the strategies
+      // of one doesn't change the strategies of the others
+      set(this, 'lookupStrategies', strategies ? strategies.slice() : ['pod', 'classic']);
+    }
+
+    if (Ember.FEATURES.isEnabled('resolver-lookup-report')) {
+      this._lookups = dictionary(null);
+      this._resolvedTemplates = [];
+      this._generated = [];
+    }
   },
   normalize: function(fullName) {
+    if (Ember.FEATURES.isEnabled('container-namespaced-lookups')) {
+      fullName = normalizeNamespace(fullName);
+
+      var namespaceIndex = namespaceIndexOf(fullName);
+      if (namespaceIndex !== -1) {
+        return camelize(fullName.slice(0, namespaceIndex)) + '@' +
+               this.normalize(fullName.slice(namespaceIndex + 1));
+      }
+    }
+
     var split = fullName.split(':', 2);
     var type = split[0];
     var name = split[1];
@@ -161,7 +243,9 @@ export default EmberObject.extend({
     var resolveMethodName = parsedName.resolveMethodName;
     var resolved;
 
-    if (!(parsedName.name && parsedName.type)) {
+    // `useRouterNaming` empties the `name` of the cached parsed names of
+    // basic routes, controllers and views, which are still valid
+    if (!(parsedName.fullNameWithoutType && parsedName.type)) {
       throw new TypeError('Invalid fullName: `' + fullName + '`, must be of the form `type:name` ');
     }
 
@@ -173,6 +257,12 @@ export default EmberObject.extend({
       resolved = this.resolveOther(parsedName);
     }
 
+    if (Ember.FEATURES.isEnabled('resolver-lookup-report')) {
+      if (!this._peeking) {
+        this._recordLookup(resolved, parsedName);
+      }
+    }
+
     if (parsedName.root && parsedName.root.LOG_RESOLVER) {
       this._logLookup(resolved, parsedName);
     }
@@ -202,6 +292,27 @@ export default EmberObject.extend({
     var namespace = get(this, 'namespace');
     var root = namespace;
 
+    if (Ember.FEATURES.isEnabled('container-namespaced-lookups')) {
+      var namespaceIndex = namespaceIndexOf(fullName);
+
+      if (namespaceIndex !== -1) {
+        var namespacePrefix = type.slice(0, namespaceIndex);
+        var namespaceClassName = classify(namespacePrefix);
+
+        type = type.slice(namespaceIndex + 1);
+        root = Namespace.byName(namespaceClassName);
+
+        Ember.assert('You are looking for a ' + name + ' ' + type +
+                     ' in the ' + namespaceClassName +
+                     ' namespace, but the namespace could not be found', root);
+
+        // namespaced templates live in a directory named after the namespace
+        if (type === 'template') {
+          fullNameWithoutType = name = namespacePrefix + '/' + name;
+        }
+      }
+    }
+
     if (type !== 'template' && name.indexOf('/') !== -1) {
       var parts = name.split('/');
       name = parts[parts.length - 1];
@@ -236,6 +347,27 @@ export default EmberObject.extend({
   lookupDescription: function(fullName) {
     var parsedName = this.parseName(fullName);
 
+    if (Ember.FEATURES.isEnabled('resolver-pods')) {
+      var kind = parsedName.type === 'template' ? 'Template' : 'Other';
+      var match = this._resolveWithStrategies(parsedName, kind);
+      var strategies = get(this, 'lookupStrategies');
+      var strategy = match ? match.strategy : strategies[strategies.length - 1];
+
+      return this['describe' + classify(strategy)](parsedName);
+    }
+
+    return this.describeClassic(parsedName);
+  },
+
+  /**
+    Describes the name the `classic` lookup strategy looks for.
+
+    @protected
+    @param {Object} parsedName a parseName object with the parsed
+      fullName lookup string
+    @method describeClassic
+  */
+  describeClassic: function(parsedName) {
     if (parsedName.type === 'template') {
       return 'template at ' + parsedName.fullNameWithoutType.replace(/\./g, '/');
     }
@@ -276,6 +408,23 @@ export default EmberObject.extend({
     @method resolveTemplate
   */
   resolveTemplate: function(parsedName) {
+    if (Ember.FEATURES.isEnabled('resolver-pods')) {
+      var match = this._resolveWithStrategies(parsedName, 'Template');
+      return match && match.resolved;
+    }
+
+    return this.resolveClassicTemplate(parsedName);
+  },
+
+  /**
+    Look up the template in Ember.TEMPLATES by its classic name
+
+    @protected
+    @param {Object} parsedName a parseName object with the parsed
+      fullName lookup string
+    @method resolveClassicTemplate
+  */
+  resolveClassicTemplate: function(parsedName) {
     var templateName = parsedName.fullNameWithoutType.replace(/\./g, '/');
 
     if (Ember.TEMPLATES[templateName]) {
@@ -362,11 +511,102 @@ export default EmberObject.extend({
     @method resolveOther
   */
   resolveOther: function(parsedName) {
+    if (Ember.FEATURES.isEnabled('resolver-pods')) {
+      var match = this._resolveWithStrategies(parsedName, 'Other');
+      return match && match.resolved;
+    }
+
+    return this.resolveClassicOther(parsedName);
+  },
+
+  /**
+    Look up the specified object (from parsedName) on the appropriate
+    namespace by its classic name
+
+    @protected
+    @param {Object} parsedName a parseName object with the parsed
+      fullName lookup string
+    @method resolveClassicOther
+  */
+  resolveClassicOther: function(parsedName) {
     var className = classify(parsedName.name) + classify(parsedName.type);
     var factory = get(parsedName.root, className);
     if (factory) { return factory; }
   },
 
+  /**
+    Look up the template of a pod in Ember.TEMPLATES. For example
+    `template:posts/index` looks up `Ember.TEMPLATES['posts/index/template']`.
+
+    @protected
+    @param {Object} parsedName a parseName object with the parsed
+      fullName lookup string
+    @method resolvePodTemplate
+  */
+  resolvePodTemplate: function(parsedName) {
+    var templateName = parsedName.fullNameWithoutType.replace(/\./g, '/') + '/template';
+
+    if (Ember.TEMPLATES[templateName]) {
+      return Ember.TEMPLATES[templateName];
+    }
+
+    templateName = decamelize(templateName);
+    if (Ember.TEMPLATES[templateName]) {
+      return Ember.TEMPLATES[templateName];
+    }
+  },
+
+  /**
+    Look up the specified object (from parsedName) in the pods of the
+    appropriate namespace. For example `controller:posts.index` looks
+    up `App.Pods.Posts.Index.Controller`.
+
+    @protected
+    @param {Object} parsedName a parseName object with the parsed
+      fullName lookup string
+    @method resolvePodOther
+  */
+  resolvePodOther: function(parsedName) {
+    var pods = get(parsedName.root, get(this, 'podNamespaceName'));
+    var pod = pods && findPod(pods, podSegments(parsedName.name));
+
+    if (pod) {
+      var factory = get(pod, classify(parsedName.type));
+      if (factory) { return factory; }
+    }
+  },
+
+  /**
+    Describes the name the `pod` lookup strategy looks for.
+
+    @protected
+    @param {Object} parsedName a parseName object with the parsed
+      fullName lookup string
+    @method describePod
+  */
+  describePod: function(parsedName) {
+    if (parsedName.type === 'template') {
+      return 'template at ' + parsedName.fullNameWithoutType.replace(/\./g, '/') + '/template';
+    }
+
+    var path = map(podSegments(parsedName.name), classify);
+
+    return [parsedName.root, get(this, 'podNamespaceName')].concat(path, classify(parsedName.type)).join('.');
+  },
+
+  _resolveWithStrategies: function(parsedName, kind) {
+    var strategies = get(this, 'lookupStrategies');
+    var resolved;
+
+    for (var i = 0, l = strategies.length; i < l; i++) {
+      resolved = this['resolve' + classify(strategies[i]) + kind](parsedName);
+
+      if (resolved) {
+        return { strategy: strategies[i], resolved: resolved };
+      }
+    }
+  },
+
   /**
    @method _logLookup
    @param {Boolean} found
@@ -388,3 +628,276 @@ export default EmberObject.extend({
     Logger.info(symbol, parsedName.fullName, padding, this.lookupDescription(parsedName.fullName));
   }
 });
+
+if (Ember.FEATURES.isEnabled('container-lookup-async')) {
+  DefaultResolver.reopen({
+    /**
+      Returns the name of the module bundle that defines the factory
+      for `parsedName`, if it has not been loaded yet. Bundles are loaded
+      by `resolveAsync` before resolving again.
+
+      Returns `undefined` by default; override it to map lookups to the
+      bundles of your application:
+
+      ```javascript
+      App = Ember.Application.create({
+        Resolver: Ember.DefaultResolver.extend({
+          bundleFor: function(parsedName) {
+            if (/^admin/.test(parsedName.fullNameWithoutType)) {
+              return 'admin';
+            }
+          }
+        })
+      });
+      ```
+
+      @protected
+      @param {Object} parsedName a parseName object with the parsed
+        fullName lookup string
+      @method bundleFor
+      @return {String} the name of the bundle
+    */
+    bundleFor: function(parsedName) {},
+
+    /**
+      Returns the URL the bundle named `bundleName` is fetched from by
+      `loadBundle`.
+
+      @protected
+      @param {String} bundleName
+      @method bundleURL
+      @return {String}
+    */
+    bundleURL: function(bundleName) {
+      return bundleName + '.js';
+    },
+
+    /**
+      Fetches the script of a bundle. The returned promise resolves
+      once the modules of the bundle have been defined with the
+      loader.
+
+      @protected
+      @param {String} bundleName
+      @method loadBundle
+      @return {RSVP.Promise}
+    */
+    loadBundle: function(bundleName) {
+      var url = this.bundleURL(bundleName);
+
+      return new RSVP.Promise(function(resolve, reject) {
+        jQuery.ajax({
+          url: url,
+          dataType: 'script',
+          cache: true,
+          success: function() {
+            run(null, resolve);
+          },
+          error: function(jqXHR, status, error) {
+            run(null, reject, new Error('Failed to load the `' + bundleName + '` bundle from ' + url + ': ' + (error || status)));
+          }
+        });
+      }, 'Ember.DefaultResolver: load bundle ' + bundleName);
+    },
+
+    /**
+      Asynchronous version of `resolve`. If the factory cannot be resolved
+      yet and `bundleFor` names the bundle that defines it, the bundle is
+      loaded, the modules it registered with the loader (`bundleName` and
+      `bundleName/*`) are required and the lookup is resolved again.
+
+      @method resolveAsync
+      @param {String} fullName the lookup string
+      @return {RSVP.Promise} a promise resolving to the factory
+    */
+    resolveAsync: function(fullName) {
+      var resolved = this.resolve(fullName);
+      if (resolved) { return RSVP.resolve(resolved); }
+
+      var bundleName = this.bundleFor(this.parseName(fullName));
+      if (!bundleName) { return RSVP.resolve(); }
+
+      var resolver = this;
+      return this._loadBundle(bundleName).then(function() {
+        return resolver.resolve(fullName);
+      }, null, 'Ember.DefaultResolver: resolveAsync ' + fullName);
+    },
+
+    _loadBundle: function(bundleName) {
+      var bundles = this._bundles;
+      var promise = bundles[bundleName];
+
+      if (!promise) {
+        promise = bundles[bundleName] = RSVP.resolve(this.loadBundle(bundleName)).then(function() {
+          requireBundle(bundleName);
+        }, function(error) {
+          delete bundles[bundleName];
+          throw error;
+        });
+      }
+
+      return promise;
+    }
+  });
+}
+
+if (Ember.FEATURES.isEnabled('resolver-lookup-report')) {
+  DefaultResolver.reopen({
+    /**
+      Returns statistics about the names resolved so far:
+
+      * `hits`: the names that were resolved, with the number of times
+        they were resolved and a description of what they resolved to.
+      * `misses`: the names that could not be resolved, with the number
+        of attempts and a description of what was looked for.
+      * `generated`: the controllers and routes that were generated
+        because they could not be resolved.
+      * `unusedTemplates`: the names of the templates in `Ember.TEMPLATES`
+        that were never resolved.
+
+      ```javascript
+      var report = App.__container__.lookup('resolver-for-debugging:main').lookupReport();
+      report.misses; // => [{ fullName: 'template:post/byline', count: 1, description: 'template at post/byline' }]
+      ```
+
+      Note that the container caches resolved factories, so names are
+      usually only resolved once per container.
+
+      @method lookupReport
+      @return {Object}
+    */
+    lookupReport: function() {
+      var lookups = this._lookups;
+      var hits = [], misses = [], unusedTemplates = [];
+      var fullName, lookup, templateName;
+
+      for (fullName in lookups) {
+        lookup = lookups[fullName];
+
+        if (lookup.hits) {
+          hits.push({ fullName: fullName, count: lookup.hits, description: this.lookupDescription(fullName) });
+        } else {
+          misses.push({ fullName: fullName, count: lookup.misses, description: this.lookupDescription(fullName) });
+        }
+      }
+
+      for (templateName in Ember.TEMPLATES) {
+        if (indexOf(this._resolvedTemplates, Ember.TEMPLATES[templateName]) === -1) {
+          unusedTemplates.push(templateName);
+        }
+      }
+
+      return {
+        hits: hits.sort(byFullName),
+        misses: misses.sort(byFullName),
+        generated: this._generated.slice(),
+        unusedTemplates: unusedTemplates.sort()
+      };
+    },
+
+    /**
+      Resolves `fullName` without counting it in the lookup report, for
+      instance to check that a name can be resolved.
+
+      @method peek
+      @param {String} fullName the lookup string
+      @return {Object} the resolved factory
+    */
+    peek: function(fullName) {
+      this._peeking = true;
+
+      try {
+        return this.resolve(fullName);
+      } finally {
+        this._peeking = false;
+      }
+    },
+
+    /**
+      Called when a controller or route had to be generated for
+      `fullName` because it could not be resolved.
+
+      @method didGenerate
+      @param {String} fullName
+    */
+    didGenerate: function(fullName) {
+      if (indexOf(this._generated, fullName) === -1) {
+        this._generated.push(fullName);
+      }
+    },
+
+    _recordLookup: function(resolved, parsedName) {
+      var fullName = parsedName.fullName;
+      var lookup = this._lookups[fullName] || (this._lookups[fullName] = { hits: 0, misses: 0 });
+
+      if (resolved) {
+        lookup.hits++;
+
+        if (parsedName.type === 'template' && indexOf(this._resolvedTemplates, resolved) === -1) {
+          this._resolvedTemplates.push(resolved);
+        }
+      } else {
+        lookup.misses++;
+      }
+    }
+  });
+}
+
+export default DefaultResolver;
+
+// The index of the `@` separating the namespace of a normalized
+// fullName like `admin@controller:users`, or -1.
+function namespaceIndexOf(fullName) {
+  var namespaceIndex = fullName.indexOf('@');
+
+  if (namespaceIndex !== -1 && namespaceIndex < fullName.indexOf(':')) {
+    return namespaceIndex;
+  }
+
+  return -1;
+}
+
+function requireBundle(bundleName) {
+  var registry = Ember.__loader.registry;
+  var prefix = bundleName + '/';
+
+  for (var moduleName in registry) {
+    if (moduleName === bundleName || moduleName.indexOf(prefix) === 0) {
+      Ember.__loader.require(moduleName);
+    }
+  }
+}
+
+// `postsIndex` and `posts_index` both name the `index` pod nested in
+// the `posts` pod.
+function podSegments(name) {
+  if (!name) { return []; }
+  return decamelize(name).split(/[_.]/);
+}
+
+// Pods are matched greedily, so that the `blogPost.index` segments
+// find `Pods.BlogPost.Index` before `Pods.Blog.Post.Index`.
+function findPod(pods, segments) {
+  var pod = pods;
+  var i = 0, j, child;
+
+  if (!segments.length) { return; }
+
+  while (i < segments.length) {
+    for (j = segments.length; j > i; j--) {
+      child = get(pod, classify(segments.slice(i, j).join('_')));
+      if (child) { break; }
+    }
+
+    if (j === i) { return; }
+
+    pod = child;
+    i = j;
+  }
+
+  return pod;
+}
+
+function byFullName(a, b) {
+  return a.fullName < b.fullName ? -1 : (a.fullName > b.fullName ? 1 : 0);
+}
@@ -0,0 +1,106 @@
+import Ember from "ember-metal/core";
+import run from "ember-metal/run_loop";
+import { get } from "ember-metal/property_get";
+import Application from "ember-application/system/application";
+import ApplicationInstance from "ember-application/system/application_instance";
+import Controller from "ember-runtime/controllers/controller";
+import EmberObject from "ember-runtime/system/object";
+import EmberHandlebars from "ember-handlebars";
+import jQuery from "ember-views/system/jquery";
+
+var application;
+
+if (Ember.FEATURES.isEnabled('application-instance')) {
+  QUnit.module("Ember.ApplicationInstance", {
+    setup: function() {
+      jQuery("#qunit-fixture").html("<div id='one'></div><div id='two'></div><div id='three'></div>");
+
+      run(function() {
+        application = Application.create({ rootElement: '#one' });
+        application.deferReadiness();
+        application.Router.reopen({ location: 'none' });
+        application.Router.map(function() {
+          this.route('posts');
+        });
+      });
+    },
+
+    teardown: function() {
+      if (application) {
+        run(application, 'destroy');
+      }
+
+      jQuery("#qunit-fixture").empty();
+      Ember.TEMPLATES = {};
+    }
+  });
+
+  test("instances inherit the registrations of the application but not its singletons", function() {
+    application.register('service:session', EmberObject.extend());
+    application.inject('controller', 'session', 'service:session');
+    application.PostsController = Controller.extend();
+
+    var instance = run(application, 'buildInstance');
+    var container = instance.container;
+    var applicationContainer = application.__container__;
+
+    ok(instance instanceof ApplicationInstance, "an ApplicationInstance is built");
+    ok(container.lookup('controller:posts') instanceof application.PostsController, "the application's classes are resolved");
+    notEqual(container.lookup('controller:posts'), applicationContainer.lookup('controller:posts'), "controllers are not shared");
+    notEqual(container.lookup('controller:posts').get('session'), applicationContainer.lookup('controller:posts').get('session'), "injected services are not shared");
+    equal(container.lookup('controller:posts').get('session'), container.lookup('service:session'), "the application's injections apply");
+    notEqual(get(instance, 'router'), applicationContainer.lookup('router:main'), "routers are not shared");
+  });
+
+  test("instances boot side by side with the application", function() {
+    Ember.TEMPLATES.application = EmberHandlebars.compile("{{outlet}}");
+    Ember.TEMPLATES.index = EmberHandlebars.compile("INDEX");
+    Ember.TEMPLATES.posts = EmberHandlebars.compile("POSTS");
+
+    run(application, 'advanceReadiness');
+
+    var two = run(application, 'buildInstance', { rootElement: '#two' });
+    var three = run(application, 'buildInstance', { rootElement: '#three' });
+
+    run(two, 'boot');
+    run(three, 'boot');
+    run(three, 'handleURL', '/posts');
+
+    equal(jQuery('#one').text(), "INDEX", "the application is rendered into its own root element");
+    equal(jQuery('#two').text(), "INDEX", "an instance is rendered into its root element");
+    equal(jQuery('#three').text(), "POSTS", "instances route independently");
+    ok(jQuery('#two').hasClass('ember-application'), "the instance's event dispatcher is set up");
+    notEqual(get(two, 'eventDispatcher'), get(application, 'eventDispatcher'), "event dispatchers are not shared");
+
+    run(three, 'destroy');
+
+    equal(jQuery('#three').text(), "", "destroying an instance tears down its views");
+    equal(jQuery('#one').text(), "INDEX", "the application keeps running");
+    ok(!get(application, 'eventDispatcher').isDestroyed, "the application's event dispatcher is not destroyed");
+  });
+
+  test("instances are destroyed along with the application", function() {
+    run(application, 'advanceReadiness');
+
+    var instance = run(application, 'buildInstance', { rootElement: '#two' });
+    run(instance, 'boot');
+
+    var router = get(instance, 'router');
+
+    run(application, 'destroy');
+    application = null;
+
+    ok(instance.isDestroyed, "the instance is destroyed");
+    ok(router.isDestroyed, "the instance's router is destroyed");
+  });
+
+  test("instances are destroyed when the application is reset", function() {
+    run(application, 'advanceReadiness');
+
+    var instance = run(application, 'buildInstance', { rootElement: '#two' });
+
+    run(application, 'reset');
+
+    ok(instance.isDestroyed, "the instance is destroyed");
+  });
+}
@@ -153,3 +153,19 @@ test("can unit test controllers with `needs` dependencies by stubbing their `con
   equal(broController.get('foo'), 5, "`needs` dependencies can be stubbed");
 });
 
+if (Ember.FEATURES.isEnabled('container-namespaced-lookups')) {
+  test("If a controller specifies a namespaced dependency, it is accessible", function() {
+    var container = new Container();
+
+    container.register('controller:post', Controller.extend({
+      needs: ['admin@posts']
+    }));
+
+    container.register('admin@controller:posts', Controller.extend());
+
+    var postController = container.lookup('controller:post');
+    var adminPostsController = container.lookup('admin@controller:posts');
+
+    equal(adminPostsController, postController.get('controllers.admin@posts'), "controllers.admin@posts must be auto synthesized");
+  });
+}
@@ -1,11 +1,14 @@
 import Ember from "ember-metal/core"; // Ember.TEMPLATES
 import run from "ember-metal/run_loop";
+import { set } from "ember-metal/property_set";
 import Logger from "ember-metal/logger";
 import Controller from "ember-runtime/controllers/controller";
 import EmberObject from "ember-runtime/system/object";
 import EmberHandlebars from "ember-handlebars";
 import Namespace from "ember-runtime/system/namespace";
 import Application from "ember-application/system/application";
+import DefaultResolver from "ember-application/system/resolver";
+import RSVP from "ember-runtime/ext/rsvp";
 
 var locator, application, originalLookup, originalLoggerInfo;
 
@@ -101,6 +104,19 @@ test("the default resolver throws an error if the fullName to resolve is invalid
   raises(function(){ locator.resolve(':type');  }, TypeError, /Invalid fullName/ );
 });
 
+test("the default resolver can resolve the basic route, controller and view more than once", function() {
+  var resolver = DefaultResolver.create({ namespace: application });
+
+  expect(0);
+
+  resolver.resolve('route:basic');
+  resolver.resolve('route:basic');
+  resolver.resolve('controller:basic');
+  resolver.resolve('controller:basic');
+  resolver.resolve('view:basic');
+  resolver.resolve('view:basic');
+});
+
 test("the default resolver logs hits if `LOG_RESOLVER` is set", function() {
   expect(3);
 
@@ -145,3 +161,246 @@ test("doesn't log without LOG_RESOLVER", function(){
   locator.resolve('doo:scrappy');
   equal(infoCount, 0, 'Logger.info should not be called if LOG_RESOLVER is not set');
 });
+
+if (Ember.FEATURES.isEnabled('container-namespaced-lookups')) {
+  test("the default resolver normalizes namespaced names", function() {
+    equal(locator.normalize('admin@controller:posts.index'), 'admin@controller:postsIndex');
+    equal(locator.normalize('controller:admin@posts.index'), 'admin@controller:postsIndex');
+    equal(locator.normalize('admin_tools@template:posts.index'), 'adminTools@template:posts.index');
+  });
+
+  test("the default resolver looks up namespaced names in their namespace", function() {
+    var Admin = Ember.lookup.Admin = Namespace.create();
+    Admin.UsersController = Controller.extend();
+    application.UsersController = Controller.extend();
+
+    function adminUsersTemplate() {}
+    Ember.TEMPLATES['admin/users'] = adminUsersTemplate;
+
+    equal(locator.lookupFactory('controller:users').superclass, application.UsersController, "the application's controller is found");
+    equal(locator.lookupFactory('admin@controller:users').superclass, Admin.UsersController, "the namespace's controller is found");
+    equal(locator.lookupFactory('controller:admin@users').superclass, Admin.UsersController, "the namespace can be part of the name");
+    equal(locator.lookup('admin@template:users'), adminUsersTemplate, "namespaced templates are found in a directory named after the namespace");
+    equal(locator.describe('admin@controller:users'), 'Admin.UsersController');
+
+    run(Admin, 'destroy');
+  });
+}
+
+if (Ember.FEATURES.isEnabled('resolver-lookup-report')) {
+  test("the default resolver reports its lookups", function() {
+    var resolver = DefaultResolver.create({ namespace: application });
+    function postTemplate() {}
+    function deadTemplate() {}
+
+    application.toString = function() { return 'App'; };
+    application.ScoobyDoo = EmberObject.extend();
+    Ember.TEMPLATES['post'] = postTemplate;
+    Ember.TEMPLATES['dead'] = deadTemplate;
+
+    resolver.resolve('doo:scooby');
+    resolver.resolve('template:post');
+    resolver.resolve('doo:scrappy');
+    resolver.resolve('doo:scrappy');
+
+    var report = resolver.lookupReport();
+
+    deepEqual(report.hits, [
+      { fullName: 'doo:scooby', count: 1, description: 'App.ScoobyDoo' },
+      { fullName: 'template:post', count: 1, description: 'template at post' }
+    ], "hits are reported");
+
+    deepEqual(report.misses, [
+      { fullName: 'doo:scrappy', count: 2, description: 'App.ScrappyDoo' }
+    ], "misses are reported");
+
+    deepEqual(report.unusedTemplates, ['dead'], "templates that were never resolved are reported");
+  });
+
+  test("peeking at a name doesn't count as a lookup", function() {
+    var resolver = DefaultResolver.create({ namespace: application });
+
+    application.ScoobyDoo = EmberObject.extend();
+
+    strictEqual(resolver.peek('doo:scooby'), application.ScoobyDoo, "peek resolves the name");
+    resolver.peek('doo:scrappy');
+
+    var report = resolver.lookupReport();
+
+    deepEqual(report.hits, [], "peeks are not reported as hits");
+    deepEqual(report.misses, [], "peeks are not reported as misses");
+  });
+}
+
+if (Ember.FEATURES.isEnabled('resolver-pods')) {
+  test("the default resolver looks up classic names before pods when they come first", function() {
+    function podTemplate() {}
+    function classicTemplate() {}
+
+    set(locator.resolver.__resolver__, 'lookupStrategies', ['classic', 'pod']);
+
+    Ember.TEMPLATES['posts/index/template'] = podTemplate;
+    Ember.TEMPLATES['posts/index'] = classicTemplate;
+    Ember.TEMPLATES['posts/show/template'] = podTemplate;
+
+    application.Pods = { Posts: { Index: { Controller: Controller.extend() } } };
+    application.PostsIndexController = Controller.extend();
+
+    equal(locator.lookup('template:posts/index'), classicTemplate, "resolves the classic template");
+    equal(locator.lookup('template:posts/show'), podTemplate, "falls back to the pod template");
+    equal(locator.resolve('controller:posts.index'), application.PostsIndexController, "resolves the classic controller");
+  });
+
+  test("the default resolver looks up pod templates before classic ones", function() {
+    function podTemplate() {}
+    function classicTemplate() {}
+
+    Ember.TEMPLATES['posts/index/template'] = podTemplate;
+    Ember.TEMPLATES['posts/index'] = classicTemplate;
+    Ember.TEMPLATES['posts/show'] = classicTemplate;
+
+    equal(locator.lookup('template:posts/index'), podTemplate, "resolves the pod template");
+    equal(locator.lookup('template:posts.index'), podTemplate, "resolves the pod template from a dotted name");
+    equal(locator.lookup('template:posts/show'), classicTemplate, "falls back to the classic template");
+  });
+
+  test("the default resolver looks up pod factories before classic ones", function() {
+    application.Pods = {
+      Posts: {
+        Index: {
+          Controller: Controller.extend(),
+          Route: EmberObject.extend()
+        }
+      },
+      BlogPost: {
+        Manager: EmberObject.extend()
+      }
+    };
+    application.PostsIndexController = Controller.extend();
+    application.PostsShowController = Controller.extend();
+
+    equal(locator.resolve('controller:posts.index'), application.Pods.Posts.Index.Controller, "resolves the pod controller");
+    equal(locator.resolve('route:posts.index'), application.Pods.Posts.Index.Route, "resolves the pod route");
+    equal(locator.resolve('manager:blogPost'), application.Pods.BlogPost.Manager, "camelized names match pods");
+    equal(locator.resolve('controller:posts.show'), application.PostsShowController, "falls back to the classic controller");
+  });
+
+  test("lookupDescription reports the lookup strategy that matched", function() {
+    var resolver = locator.resolver.__resolver__;
+
+    application.toString = function() { return 'App'; };
+    application.Pods = { Posts: { Index: { Controller: Controller.extend() } } };
+    Ember.TEMPLATES['posts/template'] = function() {};
+
+    locator.resolve('controller:posts.index');
+    locator.resolve('template:posts');
+    locator.resolve('controller:posts.show');
+
+    equal(resolver.lookupDescription('controller:postsIndex'), 'App.Pods.Posts.Index.Controller');
+    equal(resolver.lookupDescription('template:posts'), 'template at posts/template');
+    equal(resolver.lookupDescription('controller:postsShow'), 'App.PostsShowController', "misses are described by the last strategy");
+    equal(resolver.parseName('controller:postsIndex').strategy, undefined, "the parsed name is not changed");
+  });
+
+  test("resolvers don't share their lookup strategies", function() {
+    var ClassicResolver = DefaultResolver.extend({ lookupStrategies: ['classic', 'pod'] });
+    var first = ClassicResolver.create({ namespace: application });
+    var second = ClassicResolver.create({ namespace: application });
+
+    first.get('lookupStrategies').reverse();
+
+    deepEqual(second.get('lookupStrategies'), ['classic', 'pod'], "the strategies of other resolvers are not changed");
+    deepEqual(DefaultResolver.create().get('lookupStrategies'), ['pod', 'classic'], "pods are looked up first by default");
+  });
+
+  test("the lookup strategies are configurable", function() {
+    var resolver = DefaultResolver.create({
+      namespace: application,
+      lookupStrategies: ['classic']
+    });
+
+    application.Pods = { Post: { Controller: Controller.extend() } };
+    application.PostController = Controller.extend();
+
+    equal(resolver.resolve('controller:post'), application.PostController, "the pod strategy is not used");
+  });
+}
+
+if (Ember.FEATURES.isEnabled('container-lookup-async')) {
+  var bundleLoads, bundleModuleName;
+  var bundleModuleId = 0;
+
+  var BundleResolver = DefaultResolver.extend({
+    bundleFor: function(parsedName) {
+      if (parsedName.fullNameWithoutType === 'admin') { return 'admin-bundle'; }
+    },
+
+    loadBundle: function(bundleName) {
+      bundleLoads.push(bundleName);
+
+      return new RSVP.Promise(function(resolve) {
+        Ember.__loader.define(bundleModuleName, [], function() {
+          application.AdminController = Controller.extend();
+        });
+        run.later(resolve, 10);
+      });
+    }
+  });
+
+  QUnit.module("Ember.DefaultResolver#resolveAsync", {
+    setup: function() {
+      bundleLoads = [];
+      // modules are only evaluated once by the loader
+      bundleModuleName = 'admin-bundle/controllers/admin-' + (++bundleModuleId);
+      application = run(Application, 'create');
+    },
+
+    teardown: function() {
+      run(application, 'destroy');
+      delete Ember.__loader.registry[bundleModuleName];
+    }
+  });
+
+  asyncTest("resolveAsync loads the bundle of a factory before resolving it", function() {
+    var resolver = BundleResolver.create({ namespace: application });
+
+    equal(resolver.resolve('controller:admin'), undefined, "precond - not defined until the bundle is loaded");
+
+    RSVP.all([
+      resolver.resolveAsync('controller:admin'),
+      resolver.resolveAsync('controller:admin')
+    ]).then(function(factories) {
+      QUnit.start();
+      equal(factories[0], application.AdminController, "the bundle's modules were required");
+      equal(factories[1], application.AdminController);
+      deepEqual(bundleLoads, ['admin-bundle'], "the bundle is only loaded once");
+    });
+  });
+
+  asyncTest("resolveAsync resolves synchronously resolvable factories without loading bundles", function() {
+    var resolver = BundleResolver.create({ namespace: application });
+    application.PostController = Controller.extend();
+
+    RSVP.all([
+      resolver.resolveAsync('controller:post'),
+      resolver.resolveAsync('controller:missing')
+    ]).then(function(factories) {
+      QUnit.start();
+      equal(factories[0], application.PostController);
+      equal(factories[1], undefined);
+      deepEqual(bundleLoads, [], "no bundle was loaded");
+    });
+  });
+
+  asyncTest("container.lookupAsync instantiates factories from lazily loaded bundles", function() {
+    run(application, 'destroy');
+    application = run(Application, 'create', { Resolver: BundleResolver });
+    var container = application.__container__;
+
+    container.lookupAsync('controller:admin').then(function(controller) {
+      QUnit.start();
+      ok(controller instanceof application.AdminController, "the controller is an instance of the lazily loaded class");
+      equal(container.lookup('controller:admin'), controller, "the instance is cached");
+    });
+  });
+}
@@ -1,3 +1,5 @@
+/* global EmberDev */
+
 import run from "ember-metal/run_loop";
 import EmberObject from "ember-runtime/system/object";
 import Application from "ember-application/system/application";
@@ -73,3 +75,23 @@ test('injections', function() {
 
   ok(application.Email.detectInstance(user.get('communication')));
 });
+
+if (Ember.FEATURES.isEnabled('container-validate') && !EmberDev.runningProdBuild) {
+  test('unresolvable injections are reported when the application is initialized', function() {
+    run(application, 'destroy');
+
+    var MyApplication = EmberApplication.extend();
+
+    MyApplication.initializer({
+      name: 'misspelled injection',
+      initialize: function(container, app) {
+        application = app;
+        app.inject('controller', 'session', 'service:sesion');
+      }
+    });
+
+    throws(function() {
+      run(MyApplication, 'create');
+    }, /The following injections could not be resolved:\n  `service:sesion` injected as `session` on `controller`/);
+  });
+}
@@ -0,0 +1,264 @@
+import Ember from "ember-metal/core";
+import run from "ember-metal/run_loop";
+import Application from "ember-application/system/application";
+import ErrorReporter from "ember-application/system/error_reporter";
+import Route from "ember-routing/system/route";
+import RSVP from "ember-runtime/ext/rsvp";
+import EmberObject from "ember-runtime/system/object";
+import EmberHandlebars from "ember-handlebars";
+import jQuery from "ember-views/system/jquery";
+
+var App, errors, reports;
+
+if (Ember.FEATURES.isEnabled('error-reporter')) {
+  QUnit.module("Ember.ErrorReporter", {
+    setup: function() {
+      reports = [];
+
+      Ember.TEMPLATES.application = EmberHandlebars.compile("{{outlet}}");
+
+      run(function() {
+        App = Application.create({
+          rootElement: '#qunit-fixture'
+        });
+
+        App.Router.reopen({ location: 'none' });
+
+        App.Router.map(function() {
+          this.route('posts');
+        });
+
+        App.ApplicationRoute = Route.extend({
+          actions: {
+            refresh: function() {}
+          }
+        });
+
+        App.PostsRoute = Route.extend({
+          model: function() {
+            return RSVP.reject(new Error('Could not load the posts'));
+          }
+        });
+      });
+
+      errors = App.__container__.lookup('service:errors');
+      errors.addReporter(function(report) {
+        reports.push(report);
+      });
+    },
+
+    teardown: function() {
+      run(App, 'destroy');
+      App = errors = null;
+      Ember.TEMPLATES = {};
+    }
+  });
+
+  test("applications register an ErrorReporter as service:errors", function() {
+    ok(errors instanceof ErrorReporter);
+  });
+
+  test("errors thrown in the run loop are reported with the current route", function() {
+    var error = new Error('Boom!');
+
+    ok(run.backburner.options.onError, "the run loop catches errors");
+
+    throws(function() {
+      run(function() { throw error; });
+    }, /Boom!/, "the error is still thrown without Ember.onerror");
+
+    equal(reports.length, 1);
+    equal(reports[0].error, error);
+    equal(reports[0].message, 'Boom!');
+    equal(reports[0].source, 'run-loop');
+    equal(reports[0].route, 'index');
+  });
+
+  test("errors thrown in the run loop are reported and passed to Ember.onerror", function() {
+    var error = new Error('Boom!');
+    var onerror = Ember.onerror;
+    var handled = [];
+
+    Ember.onerror = function(error) {
+      handled.push(error);
+    };
+
+    try {
+      run(function() { throw error; });
+    } finally {
+      Ember.onerror = onerror;
+    }
+
+    deepEqual(handled, [error], "Ember.onerror receives the error");
+    equal(reports.length, 1, "the error is reported");
+    equal(reports[0].source, 'run-loop');
+  });
+
+  test("error reporters can leave the errors thrown in the run loop alone", function() {
+    var ignored = [];
+    var routeErrorsOnly = ErrorReporter.create({
+      container: App.__container__,
+      catchRunLoopErrors: false
+    });
+
+    routeErrorsOnly.addReporter(function(report) {
+      ignored.push(report);
+    });
+
+    try {
+      throws(function() {
+        run(function() { throw new Error('Boom!'); });
+      }, /Boom!/);
+    } finally {
+      run(routeErrorsOnly, 'destroy');
+    }
+
+    equal(ignored.length, 0, "the error is not reported to the reporter that left it alone");
+    equal(reports.length, 1, "the error is reported to the application");
+  });
+
+  test("reporting an error doesn't instantiate the router", function() {
+    var container = new Ember.Container();
+
+    container.register('router:main', EmberObject.extend({
+      init: function() {
+        ok(false, "the router should not be instantiated");
+      }
+    }));
+
+    var report = ErrorReporter.create({ container: container }).report(new Error('Early'));
+
+    equal(report.route, undefined, "there is no current route");
+  });
+
+  test("unhandled promise rejections are reported", function() {
+    var error = new Error('Rejected');
+
+    try {
+      run(function() {
+        RSVP.reject(error);
+      });
+    } catch (e) {
+      // unhandled rejections are thrown while testing
+    }
+
+    equal(reports.length, 1);
+    equal(reports[0].error, error);
+    equal(reports[0].source, 'promise');
+  });
+
+  test("errors bubbling to the top of the router's error action are reported with a breadcrumb", function() {
+    var router = App.__container__.lookup('router:main');
+
+    run(router, 'send', 'refresh');
+    run(router, 'handleURL', '/posts');
+
+    equal(reports.length, 1);
+    equal(reports[0].message, 'Could not load the posts');
+    equal(reports[0].source, 'route');
+    equal(reports[0].route, 'index', "the route the error happened in");
+    deepEqual(reports[0].breadcrumbs.map(function(breadcrumb) {
+      return breadcrumb.category + ': ' + breadcrumb.message;
+    }), [
+      "transition: Transitioned into 'index'",
+      "action: Sent 'refresh'"
+    ]);
+  });
+
+  test("repeats of an error are only counted", function() {
+    var error = new Error('Again');
+
+    errors.report(error);
+    errors.report(error);
+
+    equal(reports.length, 1, "reporters are called once");
+    equal(reports[0].source, 'manual');
+    equal(reports[0].count, 2, "the report counts the repeats");
+  });
+
+  test("only the most recent breadcrumbs are kept", function() {
+    errors.set('maxBreadcrumbs', 2);
+
+    errors.leaveBreadcrumb('first');
+    errors.leaveBreadcrumb('second', 'custom');
+    errors.leaveBreadcrumb('third');
+
+    deepEqual(errors.breadcrumbs.map(function(breadcrumb) {
+      return breadcrumb.category + ': ' + breadcrumb.message;
+    }), ['custom: second', 'manual: third']);
+  });
+
+  test("reporters can be removed", function() {
+    errors.removeReporter(errors.reporters[0]);
+    errors.report(new Error('Unheard'));
+
+    equal(reports.length, 0);
+  });
+
+  test("destroyed error reporters stop receiving errors", function() {
+    run(App, 'destroy');
+
+    try {
+      run(function() { throw new Error('After destroy'); });
+    } catch (e) {}
+
+    equal(reports.length, 0);
+  });
+
+  test("route errors are only reported to the application they happen in", function() {
+    var otherReports = [];
+    var otherRoot = jQuery('<div></div>').appendTo('body');
+    var Other;
+
+    run(function() {
+      Other = Application.create({ rootElement: otherRoot });
+      Other.Router.reopen({ location: 'none' });
+    });
+
+    try {
+      Other.__container__.lookup('service:errors').addReporter(function(report) {
+        otherReports.push(report);
+      });
+
+      run(App.__container__.lookup('router:main'), 'handleURL', '/posts');
+    } finally {
+      run(Other, 'destroy');
+      otherRoot.remove();
+    }
+
+    equal(reports.length, 1, "the error is reported by its application");
+    equal(otherReports.length, 0, "the error is not reported by the other application");
+  });
+
+  if (Ember.FEATURES.isEnabled('application-instance')) {
+    test("application instances share the error service of their application", function() {
+      var one = run(App, 'buildInstance', { rootElement: jQuery('<div></div>')[0] });
+      var two = run(App, 'buildInstance', { rootElement: jQuery('<div></div>')[0] });
+
+      equal(one.container.lookup('service:errors'), errors, "the instances use the service of the application");
+      equal(two.container.lookup('service:errors'), errors);
+
+      run(one, 'startRouting');
+      run(two, 'startRouting');
+      run(two, 'handleURL', '/posts');
+
+      equal(reports.length, 1, "route errors of an instance are reported once");
+      equal(reports[0].source, 'route');
+
+      try {
+        run(function() {
+          RSVP.reject(new Error('Rejected'));
+        });
+      } catch (e) {
+        // unhandled rejections are thrown while testing
+      }
+
+      equal(reports.length, 2, "unhandled rejections are reported once");
+
+      run(one, 'destroy');
+      run(two, 'destroy');
+
+      ok(!errors.isDestroyed, "the service is not destroyed with the instances");
+    });
+  }
+}
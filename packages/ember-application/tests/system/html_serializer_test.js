@@ -0,0 +1,79 @@
+import Ember from "ember-metal/core";
+import run from "ember-metal/run_loop";
+import HTMLSerializer from "ember-application/system/html_serializer";
+
+var serializer;
+
+// The nodes of a document without `innerHTML`, such as the documents used to
+// render on the server
+function node(nodeType, props, children) {
+  var result = props;
+  var previous = null;
+
+  result.nodeType = nodeType;
+  result.firstChild = null;
+  result.nextSibling = null;
+
+  for (var i = 0; i < (children || []).length; i++) {
+    if (previous) {
+      previous.nextSibling = children[i];
+    } else {
+      result.firstChild = children[i];
+    }
+
+    previous = children[i];
+  }
+
+  return result;
+}
+
+function element(tagName, attributes, children) {
+  return node(1, { tagName: tagName.toUpperCase(), attributes: attributes }, children);
+}
+
+function text(value) {
+  return node(3, { nodeValue: value });
+}
+
+function comment(value) {
+  return node(8, { nodeValue: value });
+}
+
+if (Ember.FEATURES.isEnabled('application-visit')) {
+  QUnit.module("Ember.HTMLSerializer", {
+    setup: function() {
+      serializer = HTMLSerializer.create();
+    },
+
+    teardown: function() {
+      run(serializer, 'destroy');
+    }
+  });
+
+  test("serializes the nodes of a document without innerHTML", function() {
+    var body = element('body', [], [
+      element('div', [{ name: 'id', value: 'ember1' }, { name: 'class', value: 'ember-view' }], [
+        element('h1', [], [text('Tom & "Jerry" <3')]),
+        element('img', [{ name: 'alt', value: 'Tom & "Jerry"' }]),
+        comment(' outlet '),
+        element('script', [], [text('if (a < b) {}')])
+      ])
+    ]);
+
+    equal(serializer.serializeChildren(body),
+          '<div id="ember1" class="ember-view">' +
+            '<h1>Tom &amp; "Jerry" &lt;3</h1>' +
+            '<img alt="Tom &amp; &quot;Jerry&quot;">' +
+            '<!-- outlet -->' +
+            '<script>if (a < b) {}</script>' +
+          '</div>');
+  });
+
+  test("serializes the elements of the browser like innerHTML", function() {
+    var div = document.createElement('div');
+
+    div.innerHTML = '<p class="lead">Hello <b>world</b><br></p><!-- done -->';
+
+    equal(serializer.serializeChildren(div), div.innerHTML);
+  });
+}
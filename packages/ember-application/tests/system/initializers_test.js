@@ -1,7 +1,13 @@
+import Ember from "ember-metal/core";
 import run from "ember-metal/run_loop";
 import Application from "ember-application/system/application";
 import { indexOf } from "ember-metal/array";
 import jQuery from "ember-views/system/jquery";
+import RSVP from "ember-runtime/ext/rsvp";
+import {
+  subscribe,
+  unsubscribe
+} from "ember-metal/instrumentation";
 
 var app;
 
@@ -222,3 +228,283 @@ test("initializers are per-app", function(){
     initialize: function(container) {}
   });
 });
+
+if (Ember.FEATURES.isEnabled('application-async-initializers')) {
+  test("initializers can return a promise that dependent initializers and readiness wait for", function() {
+    var order = [];
+    var deferred = RSVP.defer();
+    var MyApplication = Application.extend({
+      ready: function() {
+        order.push('ready');
+      }
+    });
+
+    MyApplication.initializer({
+      name: 'dependent',
+      after: 'async',
+      initialize: function(container) {
+        order.push('dependent');
+      }
+    });
+
+    MyApplication.initializer({
+      name: 'async',
+      initialize: function(container) {
+        order.push('async');
+        return deferred.promise;
+      }
+    });
+
+    MyApplication.initializer({
+      name: 'independent',
+      before: 'async',
+      initialize: function(container) {
+        order.push('independent');
+      }
+    });
+
+    run(function() {
+      app = MyApplication.create({
+        router: false,
+        rootElement: '#qunit-fixture'
+      });
+    });
+
+    deepEqual(order, ['independent', 'async'], 'initializers after the pending one did not run');
+
+    run(deferred, 'resolve');
+
+    deepEqual(order, ['independent', 'async', 'dependent', 'ready'], 'the remaining initializers ran once the promise was fulfilled');
+  });
+
+  test("initializers only wait for the promises of the initializers they depend on", function() {
+    var order = [];
+    var deferred = RSVP.defer();
+    var MyApplication = Application.extend({
+      ready: function() {
+        order.push('ready');
+      }
+    });
+
+    MyApplication.initializer({
+      name: 'slow',
+      initialize: function(container) {
+        order.push('slow');
+        return deferred.promise;
+      }
+    });
+
+    MyApplication.initializer({
+      name: 'dependent',
+      after: 'slow',
+      initialize: function(container) {
+        order.push('dependent');
+      }
+    });
+
+    MyApplication.initializer({
+      name: 'unrelated',
+      after: 'slow-sibling',
+      initialize: function(container) {
+        order.push('unrelated');
+      }
+    });
+
+    MyApplication.initializer({
+      name: 'slow-sibling',
+      initialize: function(container) {
+        order.push('slow-sibling');
+      }
+    });
+
+    run(function() {
+      app = MyApplication.create({
+        router: false,
+        rootElement: '#qunit-fixture'
+      });
+    });
+
+    ok(indexOf.call(order, 'unrelated') !== -1, 'the initializers that do not depend on the pending one ran');
+    ok(indexOf.call(order, 'dependent') === -1, 'the initializers that depend on the pending one did not run');
+    ok(indexOf.call(order, 'ready') === -1, 'the application is not ready');
+
+    run(deferred, 'resolve');
+
+    deepEqual(order.slice(-2), ['dependent', 'ready'], 'the dependent initializers ran once the promise was fulfilled');
+  });
+
+  test("initializers are instrumented, until the promise they return is settled", function() {
+    var events = [];
+    var deferred = RSVP.defer();
+    var MyApplication = Application.extend();
+
+    MyApplication.initializer({
+      name: 'first',
+      initialize: function(container) {
+        return deferred.promise;
+      }
+    });
+
+    MyApplication.initializer({
+      name: 'second',
+      after: 'first',
+      initialize: function(container) {}
+    });
+
+    var subscriber = subscribe('application.initializer', {
+      before: function(name, timestamp, payload) {
+        if (payload.name === 'first' || payload.name === 'second') {
+          events.push('before ' + payload.name);
+        }
+      },
+      after: function(name, timestamp, payload) {
+        if (payload.name === 'first' || payload.name === 'second') {
+          events.push('after ' + payload.name);
+        }
+      }
+    });
+
+    try {
+      run(function() {
+        app = MyApplication.create({
+          router: false,
+          rootElement: '#qunit-fixture'
+        });
+      });
+
+      deepEqual(events, ['before first']);
+
+      run(deferred, 'resolve');
+
+      deepEqual(events, ['before first', 'after first', 'before second', 'after second']);
+    } finally {
+      unsubscribe(subscriber);
+    }
+  });
+
+  test("initializers that return a rejected promise report the error with their name", function() {
+    expect(4);
+
+    var deferred = RSVP.defer();
+    var unauthorized = new Error('unauthorized');
+    var MyApplication = Application.extend({
+      ready: function() {
+        ok(false, 'the application should not become ready');
+      }
+    });
+
+    MyApplication.initializer({
+      name: 'session',
+      initialize: function(container) {
+        return deferred.promise;
+      }
+    });
+
+    MyApplication.initializer({
+      name: 'after-session',
+      after: 'session',
+      initialize: function(container) {
+        ok(false, 'initializers depending on a failed one should not run');
+      }
+    });
+
+    function onerror(error) {
+      strictEqual(error, unauthorized, "the error is not wrapped");
+      equal(error.message, 'unauthorized');
+      equal(error.initializer, 'session');
+    }
+
+    run(function() {
+      app = MyApplication.create({
+        router: false,
+        rootElement: '#qunit-fixture'
+      });
+    });
+
+    RSVP.on('error', onerror);
+    RSVP.off('error', RSVP.onerrorDefault);
+
+    try {
+      run(deferred, 'reject', unauthorized);
+    } finally {
+      RSVP.on('error', RSVP.onerrorDefault);
+      RSVP.off('error', onerror);
+    }
+
+    equal(app._readinessDeferrals, 1, 'the application is still waiting');
+  });
+
+  if (Ember.FEATURES.isEnabled('application-visit')) {
+    test("initializers that return a rejected promise fail the boot of the application", function() {
+      expect(3);
+
+      var deferred = RSVP.defer();
+      var reported = [];
+      var MyApplication = Application.extend();
+
+      MyApplication.initializer({
+        name: 'session',
+        initialize: function(container) {
+          return deferred.promise;
+        }
+      });
+
+      function onerror(error) {
+        reported.push(error);
+      }
+
+      run(function() {
+        app = MyApplication.create({
+          autoboot: false,
+          router: false,
+          rootElement: '#qunit-fixture'
+        });
+
+        app.boot().then(null, function(reason) {
+          equal(reason.initializer, 'session', 'the boot is rejected with the error of the initializer');
+        });
+      });
+
+      RSVP.on('error', onerror);
+      RSVP.off('error', RSVP.onerrorDefault);
+
+      try {
+        run(deferred, 'reject', new Error('unauthorized'));
+      } finally {
+        RSVP.on('error', RSVP.onerrorDefault);
+        RSVP.off('error', onerror);
+      }
+
+      equal(reported.length, 1, 'the error is reported once');
+      equal(reported[0].initializer, 'session');
+    });
+  }
+
+  test("errors thrown by initializers are thrown again with their name", function() {
+    var MyApplication = Application.extend();
+
+    function BrokenError(message) {
+      this.message = message;
+    }
+
+    BrokenError.prototype = new Error();
+
+    MyApplication.initializer({
+      name: 'broken',
+      initialize: function(container) {
+        throw new BrokenError('oops');
+      }
+    });
+
+    throws(function() {
+      run(function() {
+        app = MyApplication.create({
+          router: false,
+          rootElement: '#qunit-fixture'
+        });
+      });
+    }, function(error) {
+      return error instanceof BrokenError && error.message === 'oops' && error.initializer === 'broken';
+    }, "the original error is thrown with the name of the initializer");
+  });
+}
@@ -0,0 +1,162 @@
+import Ember from "ember-metal/core";
+import run from "ember-metal/run_loop";
+import Application from "ember-application/system/application";
+import ApplicationInstance from "ember-application/system/application_instance";
+import EmberObject from "ember-runtime/system/object";
+import jQuery from "ember-views/system/jquery";
+
+var app;
+
+if (Ember.FEATURES.isEnabled('application-instance-initializers')) {
+  QUnit.module("Ember.Application instance initializers", {
+    setup: function() {
+      jQuery('#qunit-fixture').html('<div id="one"></div><div id="two"></div>');
+    },
+
+    teardown: function() {
+      if (app) {
+        run(function() { app.destroy(); });
+        app = null;
+      }
+    }
+  });
+
+  test("instance initializers run in the specified order, after the initializers", function() {
+    var order = [];
+    var MyApplication = Application.extend();
+
+    MyApplication.instanceInitializer({
+      name: 'third',
+      after: 'second',
+      initialize: function(instance) {
+        order.push('third');
+      }
+    });
+
+    MyApplication.instanceInitializer({
+      name: 'first',
+      before: 'second',
+      initialize: function(instance) {
+        order.push('first');
+      }
+    });
+
+    MyApplication.instanceInitializer({
+      name: 'second',
+      initialize: function(instance) {
+        order.push('second');
+      }
+    });
+
+    MyApplication.initializer({
+      name: 'initializer',
+      initialize: function(container, application) {
+        order.push('initializer');
+      }
+    });
+
+    run(function() {
+      app = MyApplication.create({
+        router: false,
+        rootElement: '#qunit-fixture'
+      });
+    });
+
+    deepEqual(order, ['initializer', 'first', 'second', 'third']);
+  });
+
+  test("instance initializers run against the live container on every boot and reset", function() {
+    var instances = [];
+    var MyApplication = Application.extend();
+
+    MyApplication.initializer({
+      name: 'session',
+      initialize: function(container, application) {
+        application.register('service:session', EmberObject.extend());
+      }
+    });
+
+    MyApplication.instanceInitializer({
+      name: 'prime-session',
+      initialize: function(instance) {
+        instance.container.lookup('service:session').set('primed', true);
+        instances.push(instance);
+      }
+    });
+
+    run(function() {
+      app = MyApplication.create({
+        router: false,
+        rootElement: '#qunit-fixture'
+      });
+    });
+
+    equal(instances.length, 1, "the instance initializer ran on boot");
+    ok(instances[0] instanceof ApplicationInstance, "it was passed an ApplicationInstance");
+    equal(instances[0], app.__instance__, "it was passed the instance of the application");
+    ok(app.__container__.lookup('service:session').get('primed'), "it ran against the live container");
+
+    run(app, 'reset');
+
+    equal(instances.length, 2, "the instance initializer ran again after reset");
+    ok(app.__container__.lookup('service:session').get('primed'), "it ran against the new container");
+  });
+
+  test("instance initializers run when an instance built with buildInstance boots", function() {
+    var instances = [];
+    var MyApplication = Application.extend();
+
+    MyApplication.instanceInitializer({
+      name: 'record',
+      initialize: function(instance) {
+        instances.push(instance);
+      }
+    });
+
+    run(function() {
+      app = MyApplication.create({
+        router: false,
+        rootElement: '#one'
+      });
+    });
+
+    var instance = run(app, 'buildInstance', { rootElement: '#two' });
+
+    equal(instances.length, 1, "building an instance does not run the instance initializers");
+
+    run(instance, 'boot');
+
+    equal(instances.length, 2, "booting it does");
+    equal(instances[1], instance, "they are passed the booted instance");
+  });
+
+  test("instance initializers are per-app", function() {
+    var FirstApp = Application.extend();
+    var ran = [];
+
+    FirstApp.instanceInitializer({
+      name: 'first',
+      initialize: function(instance) {
+        ran.push('first');
+      }
+    });
+
+    var SecondApp = FirstApp.extend();
+
+    SecondApp.instanceInitializer({
+      name: 'second',
+      initialize: function(instance) {
+        ran.push('second');
+      }
+    });
+
+    run(function() {
+      app = FirstApp.create({
+        router: false,
+        rootElement: '#qunit-fixture'
+      });
+    });
+
+    deepEqual(ran, ['first'], "instance initializers of a subclass do not run for its superclass");
+  });
+}
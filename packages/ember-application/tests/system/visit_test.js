@@ -0,0 +1,198 @@
+import Ember from "ember-metal/core";
+import run from "ember-metal/run_loop";
+import Application from "ember-application/system/application";
+import Route from "ember-routing/system/route";
+import RSVP from "ember-runtime/ext/rsvp";
+import EmberHandlebars from "ember-handlebars";
+import jQuery from "ember-views/system/jquery";
+import EmberView from "ember-views/views/view";
+
+var App, ready;
+
+if (Ember.FEATURES.isEnabled('application-visit')) {
+  QUnit.module("Ember.Application#visit", {
+    setup: function() {
+      ready = 0;
+
+      Ember.TEMPLATES.application = EmberHandlebars.compile("<h1>Blog</h1>{{outlet}}");
+      Ember.TEMPLATES.index = EmberHandlebars.compile("<p>Home</p>");
+      Ember.TEMPLATES.post = EmberHandlebars.compile("<p>{{title}}</p>");
+
+      run(function() {
+        App = Application.create({
+          autoboot: false,
+          rootElement: '#qunit-fixture',
+          ready: function() {
+            ready++;
+          }
+        });
+
+        App.Router.map(function() {
+          this.route('post', { path: '/posts/:post_id' });
+        });
+
+        App.PostRoute = Route.extend({
+          model: function(params) {
+            return RSVP.resolve({ title: 'Post ' + params.post_id });
+          }
+        });
+      });
+    },
+
+    teardown: function() {
+      run(App, 'destroy');
+      App = null;
+      Ember.TEMPLATES = {};
+    }
+  });
+
+  test("applications with autoboot: false don't boot themselves", function() {
+    equal(ready, 0, "the application is not ready");
+    ok(!jQuery('#qunit-fixture').hasClass('ember-application'), "no event dispatcher is set up");
+  });
+
+  test("visit renders the application at a URL into a string", function() {
+    var html;
+
+    run(function() {
+      App.visit('/posts/1').then(function(result) {
+        html = result;
+      });
+    });
+
+    equal(ready, 1, "the application was booted");
+    equal(jQuery(html).find('h1').text(), "Blog", "the application template was rendered");
+    equal(jQuery(html).find('p').text(), "Post 1", "the template of the route was rendered with its model");
+    equal(jQuery('#qunit-fixture').html(), "", "the document of the page is untouched");
+    ok(!jQuery('#qunit-fixture').hasClass('ember-application'), "no event dispatcher is set up");
+    equal(App._instances.length, 0, "the instance used to render was destroyed");
+  });
+
+  test("visit can be called repeatedly, and only boots the application once", function() {
+    var results = [];
+
+    function push(html) {
+      results.push(jQuery(html).find('p').text());
+    }
+
+    run(function() {
+      App.visit('/').then(push);
+    });
+
+    run(function() {
+      App.visit('/posts/2').then(push);
+    });
+
+    deepEqual(results, ["Home", "Post 2"]);
+    equal(ready, 1, "the application was booted once");
+  });
+
+  test("the containers of the instances used to render are released", function() {
+    var container = App.__container__;
+    var children = container.children.length;
+
+    run(function() {
+      App.visit('/');
+    });
+
+    run(function() {
+      App.visit('/posts/1');
+    });
+
+    run(function() {
+      App.visit('/posts/2');
+    });
+
+    equal(container.children.length, children, "the instance containers are removed from the application container");
+  });
+
+  test("visit renders into the document it is given", function() {
+    var doc = document.implementation.createHTMLDocument('');
+    var ownerDocument, html;
+
+    App.ApplicationView = EmberView.extend({
+      didInsertElement: function() {
+        ownerDocument = this.get('element').ownerDocument;
+      }
+    });
+
+    run(function() {
+      App.visit('/', { document: doc }).then(function(result) {
+        html = result;
+      });
+    });
+
+    strictEqual(ownerDocument, doc, "the views are rendered into the given document");
+    equal(jQuery(html).find('p').text(), "Home");
+  });
+
+  test("visit serializes the rendered elements with the serializer:main", function() {
+    var serialized, html;
+
+    App.register('serializer:main', {
+      serializeChildren: function(element) {
+        serialized = element;
+        return 'serialized';
+      }
+    }, { instantiate: false });
+
+    run(function() {
+      App.visit('/').then(function(result) {
+        html = result;
+      });
+    });
+
+    equal(html, 'serialized', "visit resolves with the HTML of the serializer");
+    equal(serialized.tagName, 'BODY', "the serializer receives the root element");
+  });
+
+  test("visit rejects when an initializer throws", function() {
+    expect(2);
+
+    var BrokenApplication = Application.extend();
+    var broken;
+
+    BrokenApplication.initializer({
+      name: 'broken',
+      initialize: function() {
+        throw new Error('oops');
+      }
+    });
+
+    try {
+      run(function() {
+        broken = BrokenApplication.create({ autoboot: false, rootElement: '#qunit-fixture' });
+
+        broken.visit('/').then(null, function(reason) {
+          ok(/oops/.test(reason.message), "the promise is rejected with the error");
+        });
+
+        broken.boot().then(null, function(reason) {
+          ok(/oops/.test(reason.message), "the boot promise is rejected too");
+        });
+      });
+    } finally {
+      run(broken, 'destroy');
+    }
+  });
+
+  test("visit rejects when the transition fails", function() {
+    expect(1);
+
+    App.PostRoute.reopen({
+      model: function() {
+        return RSVP.reject(new Error('Not found'));
+      },
+
+      actions: {
+        error: function() {}
+      }
+    });
+
+    run(function() {
+      App.visit('/posts/3').then(null, function(reason) {
+        ok(reason, "the promise is rejected");
+      });
+    });
+  });
+}
@@ -47,7 +47,7 @@ import EmberObject from "ember-runtime/system/object";
   @extends EmberObject
   @since 1.5.0
 */
-export default EmberObject.extend({
+var ContainerDebugAdapter = EmberObject.extend({
   /**
     The container of the application being debugged.
     This property will be injected
@@ -108,3 +108,34 @@ export default EmberObject.extend({
     return types;
   }
 });
+
+if (Ember.FEATURES.isEnabled('resolver-lookup-report')) {
+  ContainerDebugAdapter.reopen({
+    /**
+      Returns the resolver's `lookupReport`, or `null` if the resolver
+      does not keep lookup statistics. Names the resolver missed but
+      that are registered with the container, like generated controllers
+      and routes, are not reported as misses.
+
+      @method lookupReport
+      @return {Object} the lookup report
+    */
+    lookupReport: function() {
+      var resolver = this.resolver;
+      var container = this.container;
+
+      if (!resolver || typeof resolver.lookupReport !== 'function') { return null; }
+
+      var report = resolver.lookupReport();
+
+      report.misses = emberA(report.misses).filter(function(miss) {
+        // `container.has` would resolve the name again
+        return !container.registry[container.normalize(miss.fullName)];
+      });
+
+      return report;
+    }
+  });
+}
+
+export default ContainerDebugAdapter;
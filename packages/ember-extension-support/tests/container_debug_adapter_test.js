@@ -2,6 +2,7 @@ import run from "ember-metal/run_loop";
 import { default as EmberController } from "ember-runtime/controllers/controller";
 import "ember-extension-support"; // Must be required to export Ember.ContainerDebugAdapter
 import Application from "ember-application/system/application";
+import { indexOf } from "ember-metal/enumerable_utils";
 
 var adapter, App;
 
@@ -50,3 +51,29 @@ test("the default ContainerDebugAdapter catalogs controller entries", function()
   equal(controllerClasses.length, 1, "found 1 class");
   equal(controllerClasses[0], 'post', "found the right class");
 });
+
+if (Ember.FEATURES.isEnabled('resolver-lookup-report')) {
+  test("the default ContainerDebugAdapter reports the resolver's lookups", function() {
+    var container = App.__container__;
+
+    App.PostController = EmberController.extend();
+    container.lookup('controller:post');
+    container.lookup('controller:psot');
+
+    var report = adapter.lookupReport();
+    var misses = [], i;
+
+    for (i = 0; i < report.misses.length; i++) {
+      misses.push(report.misses[i].fullName);
+    }
+
+    ok(indexOf(misses, 'controller:psot') !== -1, "typo'd names are reported as misses");
+    ok(indexOf(misses, 'route:application') === -1, "generated routes are not reported as misses");
+    ok(indexOf(report.generated, 'route:application') !== -1, "generated routes are reported");
+    ok(indexOf(report.generated, 'controller:application') !== -1, "generated controllers are reported");
+
+    equal(report.hits.length, 1, "the resolved names are reported");
+    equal(report.hits[0].fullName, 'controller:post');
+    equal(report.hits[0].description, 'App.PostController');
+  });
+}
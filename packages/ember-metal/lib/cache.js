@@ -1,13 +1,38 @@
+import Ember from 'ember-metal/core';
 import dictionary from 'ember-metal/dictionary';
 export default Cache;
 
-function Cache(limit, func) {
+/**
+  Caches the values `func` computes for string keys, keeping at most `limit`
+  of them.
+
+  @private
+  @class Cache
+  @namespace Ember
+  @constructor
+  @param {Number} limit
+  @param {Function} func
+  @param {Object} [options]
+    @param {Number} [options.ttl] the number of milliseconds after which a
+      value expires and is computed again
+    @param {Function} [options.onEvict] called with the key and the value
+      of each entry evicted from the cache
+*/
+function Cache(limit, func, options) {
   this.store  = dictionary(null);
   this.size   = 0;
   this.misses = 0;
   this.hits   = 0;
   this.limit  = limit;
   this.func   = func;
+
+  if (Ember.FEATURES.isEnabled('ember-metal-lru-cache')) {
+    this.ttl       = options && options.ttl;
+    this.onEvict   = options && options.onEvict;
+    this.evictions = 0;
+    this.newest    = null;
+    this.oldest    = null;
+  }
 }
 
 var UNDEFINED = function() { };
@@ -50,3 +75,165 @@ Cache.prototype = {
     this.misses = 0;
   }
 };
+
+if (Ember.FEATURES.isEnabled('ember-metal-lru-cache')) {
+  // The entries are kept in a doubly linked list from the least recently
+  // used to the most recently used, so that the cache can evict the least
+  // recently used entry once it is full.
+  var CacheEntry = function(key, value, expires) {
+    this.key     = key;
+    this.value   = value;
+    this.expires = expires;
+    this.newer   = null;
+    this.older   = null;
+  };
+
+  var now = function() {
+    return +new Date();
+  };
+
+  var link = function(cache, entry) {
+    entry.older = cache.newest;
+    entry.newer = null;
+
+    if (cache.newest) {
+      cache.newest.newer = entry;
+    } else {
+      cache.oldest = entry;
+    }
+
+    cache.newest = entry;
+  };
+
+  var unlink = function(cache, entry) {
+    if (entry.newer) {
+      entry.newer.older = entry.older;
+    } else {
+      cache.newest = entry.older;
+    }
+
+    if (entry.older) {
+      entry.older.newer = entry.newer;
+    } else {
+      cache.oldest = entry.newer;
+    }
+  };
+
+  var evict = function(cache, entry) {
+    unlink(cache, entry);
+    delete cache.store[entry.key];
+    cache.size--;
+    cache.evictions++;
+
+    if (cache.onEvict) {
+      cache.onEvict(entry.key, entry.value);
+    }
+  };
+
+  /**
+    Stores the value of `key`. Once the cache holds `limit` entries, storing
+    a new one evicts the least recently used entry.
+
+    @private
+    @method set
+    @param {String} key
+    @param {*} value
+    @return {*} the value
+  */
+  Cache.prototype.set = function(key, value) {
+    var entry = this.store[key];
+    var expires = this.ttl ? now() + this.ttl : undefined;
+
+    if (entry !== undefined) {
+      entry.value = value;
+      entry.expires = expires;
+
+      if (entry !== this.newest) {
+        unlink(this, entry);
+        link(this, entry);
+      }
+
+      return value;
+    }
+
+    if (this.limit <= 0) { return value; }
+
+    entry = this.store[key] = new CacheEntry(key, value, expires);
+    link(this, entry);
+    this.size++;
+
+    if (this.size > this.limit) {
+      evict(this, this.oldest);
+    }
+
+    return value;
+  };
+
+  /**
+    Returns the value of `key`, computing it with the function of the cache
+    if it isn't stored or has expired.
+
+    @private
+    @method get
+    @param {String} key
+    @return {*} the value
+  */
+  Cache.prototype.get = function(key) {
+    var entry = this.store[key];
+
+    if (entry !== undefined) {
+      if (entry.expires === undefined || entry.expires > now()) {
+        this.hits++;
+
+        if (entry !== this.newest) {
+          unlink(this, entry);
+          link(this, entry);
+        }
+
+        return entry.value;
+      }
+
+      evict(this, entry);
+    }
+
+    this.misses++;
+
+    return this.set(key, this.func(key));
+  };
+
+  /**
+    Removes all the entries and resets the statistics, without calling
+    `onEvict`.
+
+    @private
+    @method purge
+  */
+  Cache.prototype.purge = function() {
+    this.store     = dictionary(null);
+    this.size      = 0;
+    this.hits      = 0;
+    this.misses    = 0;
+    this.evictions = 0;
+    this.newest    = null;
+    this.oldest    = null;
+  };
+
+  /**
+    Returns the statistics of the cache: the number of `hits`, `misses` and
+    `evictions`, including the entries evicted because they expired, since
+    the cache was created or purged, along with its `size` and `limit`.
+
+    @private
+    @method stats
+    @return {Object}
+  */
+  Cache.prototype.stats = function() {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      size: this.size,
+      limit: this.limit
+    };
+  };
+}
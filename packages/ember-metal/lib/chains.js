@@ -3,6 +3,10 @@ import {get, normalizeTuple} from "ember-metal/property_get";
 import {meta as metaFor} from "ember-metal/utils";
 import {forEach} from "ember-metal/array";
 import {watchKey, unwatchKey} from "ember-metal/watch_key";
+import {
+  changeTracing,
+  traceChainNode
+} from "ember-metal/trace_changes";
 
 var warn = Ember.warn;
 var FIRST_KEY = /^([^\.]+)/;
@@ -255,6 +259,12 @@ ChainNodePrototype.willChange = function(events) {
     }
   }
 
+  if (Ember.FEATURES.isEnabled('ember-metal-trace-changes')) {
+    if (changeTracing.active) {
+      traceChainNode(this);
+    }
+  }
+
   if (this._parent) { this._parent.chainWillChange(this, this._key, 1, events); }
 };
 
@@ -318,6 +328,12 @@ ChainNodePrototype.didChange = function(events) {
   // if no events are passed in then we only care about the above wiring update
   if (events === null) { return; }
 
+  if (Ember.FEATURES.isEnabled('ember-metal-trace-changes')) {
+    if (changeTracing.active) {
+      traceChainNode(this);
+    }
+  }
+
   // and finally tell parent about my path changing...
   if (this._parent) { this._parent.chainDidChange(this, this._key, 1, events); }
 };
@@ -1,11 +1,14 @@
 import Ember from "ember-metal/core";
 import { set } from "ember-metal/property_set";
+import { trackGets } from "ember-metal/property_get";
+import { create } from "ember-metal/platform";
 import {
   meta,
   inspect
 } from "ember-metal/utils";
 import expandProperties from "ember-metal/expand_properties";
 import EmberError from "ember-metal/error";
+import { _instrumentStart } from "ember-metal/instrumentation";
 import {
   Descriptor,
   defineProperty
@@ -335,7 +338,12 @@ ComputedPropertyPrototype.get = function(obj, keyName) {
       return result;
     }
 
-    ret = this.func.call(obj, keyName);
+    if (Ember.FEATURES.isEnabled('instrumentation-computed-properties')) {
+      ret = recompute(this, obj, keyName);
+    } else {
+      ret = this.func.call(obj, keyName);
+    }
+
     if (ret === undefined) {
       cache[keyName] = UNDEFINED;
     } else {
@@ -351,6 +359,24 @@ ComputedPropertyPrototype.get = function(obj, keyName) {
   return ret;
 };
 
+// Instruments the computation of a cached value as a `computed.recompute`
+// event.
+function recompute(property, obj, keyName) {
+  var finalizer = _instrumentStart('computed.recompute', function() {
+    return { key: keyName, object: obj };
+  }, true);
+
+  if (!finalizer) {
+    return property.func.call(obj, keyName);
+  }
+
+  try {
+    return property.func.call(obj, keyName);
+  } finally {
+    finalizer();
+  }
+}
+
 /**
   Set the value of a computed property. If the function that backs your
   computed property does not accept arguments then the default action for
@@ -607,6 +633,142 @@ cacheFor.remove = function(cache, key) {
   cache[key] = undefined;
 };
 
+var TrackedComputedProperty;
+
+if (Ember.FEATURES.isEnabled('ember-metal-computed-tracked')) {
+  /**
+    A read-only computed property whose dependent keys are the paths its
+    function reads from the object. See `Ember.computed.tracked`.
+
+    @private
+    @class TrackedComputedProperty
+    @namespace Ember
+    @extends Ember.ComputedProperty
+    @constructor
+  */
+  TrackedComputedProperty = function(func, opts) {
+    ComputedProperty.call(this, func, opts);
+    this._readOnly = true;
+  };
+
+  TrackedComputedProperty.prototype = create(ComputedPropertyPrototype);
+
+  // The paths read by the last computation of the property are kept in the
+  // `cacheMeta` of the object, in the shape `addDependentKeys` expects of a
+  // descriptor.
+  TrackedComputedProperty.prototype.get = function(obj, keyName) {
+    var func = this.func;
+
+    if (!this._cacheable) {
+      return func.call(obj, keyName);
+    }
+
+    var meta = metaFor(obj);
+    var cache = meta.cache;
+    var result = cache[keyName];
+
+    if (result === UNDEFINED) {
+      return undefined;
+    } else if (result !== undefined) {
+      return result;
+    }
+
+    var tracked = trackGets(obj, function() {
+      return func.call(obj, keyName);
+    });
+    var ret = tracked.value;
+    var dependentKeys = this._dependentKeys ? this._dependentKeys.concat(tracked.keys) : tracked.keys;
+
+    cache[keyName] = ret === undefined ? UNDEFINED : ret;
+
+    var chainNodes = meta.chainWatchers && meta.chainWatchers[keyName];
+    if (chainNodes) { finishChains(chainNodes); }
+
+    var deps = meta.cacheMeta[keyName] = { _dependentKeys: dependentKeys };
+    addDependentKeys(deps, obj, keyName, meta);
+
+    return ret;
+  };
+
+  TrackedComputedProperty.prototype.didChange = function(obj, keyName) {
+    if (this._cacheable) {
+      var meta = metaFor(obj);
+
+      if (meta.cache[keyName] !== undefined) {
+        meta.cache[keyName] = undefined;
+        removeTrackedKeys(obj, keyName, meta);
+      }
+    }
+  };
+
+  TrackedComputedProperty.prototype.teardown = function(obj, keyName) {
+    var meta = metaFor(obj);
+
+    if (keyName in meta.cache) {
+      removeTrackedKeys(obj, keyName, meta);
+    }
+
+    if (this._cacheable) { delete meta.cache[keyName]; }
+
+    return null;
+  };
+
+  var removeTrackedKeys = function(obj, keyName, meta) {
+    var deps = meta.cacheMeta[keyName];
+
+    if (deps) {
+      meta.cacheMeta[keyName] = undefined;
+      removeDependentKeys(deps, obj, keyName, meta);
+    }
+  };
+
+  /**
+    A computed property that discovers its own dependent keys: while its
+    function runs, every path it reads from the object with `Ember.get` (or
+    `this.get`) is recorded, and becomes a dependent key of the property.
+    The paths are recorded again every time the property is recomputed, so
+    a property that reads different paths depending on the values it finds
+    only depends on the paths its last computation read.
+
+    ```javascript
+    var Person = Ember.Object.extend({
+      displayName: Ember.computed.tracked(function() {
+        if (this.get('nickname')) {
+          return this.get('nickname');
+        }
+
+        return this.get('firstName') + ' ' + this.get('lastName');
+      })
+    });
+
+    var tom = Person.create({ firstName: 'Tom', lastName: 'Dale' });
+
+    tom.get('displayName'); // 'Tom Dale', depends on nickname, firstName
+                            // and lastName
+    tom.set('nickname', 'Tomster');
+    tom.get('displayName'); // 'Tomster', only depends on nickname
+    ```
+
+    Only the reads made on the object itself are recorded, through
+    `Ember.get`: properties read with plain JavaScript property access, or
+    from other objects than the object, aren't dependencies. Reading a path
+    such as `'author.name'` makes the whole path a dependency. Tracked
+    computed properties are read-only.
+
+    @method computed.tracked
+    @for Ember
+    @param {Function} func The computed property function.
+    @return {Ember.ComputedProperty} property descriptor instance
+  */
+  computed.tracked = function(func) {
+    if (typeof func !== "function") {
+      throw new EmberError("Computed Property declared without a property function");
+    }
+
+    return new TrackedComputedProperty(func);
+  };
+}
+
 export {
   ComputedProperty,
   computed,
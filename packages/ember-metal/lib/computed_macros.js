@@ -5,6 +5,7 @@ import { computed } from "ember-metal/computed";
 import isEmpty from 'ember-metal/is_empty';
 import { isNone } from 'ember-metal/is_none';
 import alias from 'ember-metal/alias';
+import { parseExpression } from 'ember-metal/expression';
 
 /**
 @module ember-metal
@@ -698,3 +699,60 @@ computed.deprecatingAlias = function(dependentKey) {
     }
   });
 };
+
+if (Ember.FEATURES.isEnabled('ember-metal-computed-expr')) {
+  /**
+    A computed property that evaluates an expression. The expression can
+    use the properties of the object by their paths, number, string and
+    boolean literals, arithmetic (`+ - * / %`), comparison
+    (`=== !== == != < <= > >=`), boolean (`&& || !`) and conditional
+    (`? :`) operators, and parentheses. `+` concatenates strings, as in
+    JavaScript. Strings can contain the `\'`, `\"` and `\\` escape
+    sequences.
+
+    The paths used in the expression are the dependent keys of the
+    computed property. They are all read from the object, capitalized ones
+    included, never from globals.
+
+    Example
+
+    ```javascript
+    var Order = Ember.Object.extend({
+      overLimit: Ember.computed.expr('subtotal * (1 + taxRate) > limit'),
+      summary: Ember.computed.expr('customer.name + ": " + (paid ? "paid" : "due")')
+    });
+
+    var order = Order.create({
+      subtotal: 100,
+      taxRate: 0.2,
+      limit: 110,
+      paid: false,
+      customer: { name: 'Tomster' }
+    });
+
+    order.get('overLimit'); // true
+    order.get('summary');   // 'Tomster: due'
+    order.set('limit', 150);
+    order.get('overLimit'); // false
+    ```
+
+    The expression is parsed once, and is never passed to `eval`. An
+    invalid expression throws an `Ember.Error` when the computed property
+    is defined.
+
+    @method computed.expr
+    @for Ember
+    @param {String} expression
+    @return {Ember.ComputedProperty} computed property which evaluates the
+    expression
+  */
+  computed.expr = function(expression) {
+    var parsed = parseExpression(expression);
+
+    var computedFunc = computed(function() {
+      return parsed.evaluate(this);
+    });
+
+    return computedFunc.property.apply(computedFunc, parsed.dependentKeys);
+  };
+}
@@ -0,0 +1,94 @@
+import Ember from "ember-metal/core"; // Ember.onerror
+import { indexOf } from "ember-metal/array";
+import run from "ember-metal/run_loop";
+
+/**
+@module ember-metal
+*/
+
+var reporters = [];
+var runLoopReporters = [];
+
+/**
+  Registers an object whose `report(error, source)` method is called with
+  every error that reaches one of Ember's global error channels:
+
+  * `promise`: unhandled promise rejections
+  * `run-loop`: errors thrown while flushing the run loop, only for the
+    reporters registered with the `runLoop` option
+
+  These channels are shared by all the applications of the page, so each
+  application should register a single reporter.
+
+  Ember only catches the errors thrown in the run loop while a reporter has
+  opted in with the `runLoop` option. They are then still passed to
+  `Ember.onerror`, or thrown again if it isn't set.
+
+  @private
+  @method addErrorReporter
+  @param {Object} reporter
+  @param {Object} [options]
+    @param {Boolean} [options.runLoop=false] whether to report the errors
+      thrown in the run loop
+*/
+export function addErrorReporter(reporter, options) {
+  if (indexOf.call(reporters, reporter) !== -1) { return; }
+
+  reporters.push(reporter);
+
+  if (options && options.runLoop) {
+    runLoopReporters.push(reporter);
+    run.backburner.options.onError = onRunLoopError;
+  }
+}
+
+/**
+  Unregisters a reporter registered with `addErrorReporter`.
+
+  @private
+  @method removeErrorReporter
+  @param {Object} reporter
+*/
+export function removeErrorReporter(reporter) {
+  var index = indexOf.call(reporters, reporter);
+  if (index === -1) { return; }
+
+  reporters.splice(index, 1);
+
+  index = indexOf.call(runLoopReporters, reporter);
+  if (index === -1) { return; }
+
+  runLoopReporters.splice(index, 1);
+
+  if (runLoopReporters.length === 0) {
+    delete run.backburner.options.onError;
+  }
+}
+
+/**
+  Passes `error` to the registered reporters.
+
+  @private
+  @method reportError
+  @param {Error} error
+  @param {String} source the channel the error was received from
+*/
+export function reportError(error, source) {
+  var current = (source === 'run-loop' ? runLoopReporters : reporters).slice();
+
+  for (var i = 0, l = current.length; i < l; i++) {
+    current[i].report(error, source);
+  }
+}
+
+// Backburner only catches errors when it has an error handler, so it is only
+// given this one while reporters have opted in.
+function onRunLoopError(error) {
+  reportError(error, 'run-loop');
+
+  if (Ember.onerror) {
+    Ember.onerror(error);
+  } else {
+    throw error;
+  }
+}
@@ -0,0 +1,343 @@
+import EmberError from 'ember-metal/error';
+import Cache from 'ember-metal/cache';
+import { get } from 'ember-metal/property_get';
+import { indexOf } from 'ember-metal/array';
+import { isGlobalPath } from 'ember-metal/path_cache';
+
+/**
+@module ember-metal
+*/
+
+var IDENTIFIER_START = /[A-Za-z_$]/;
+// Identifiers separated by single dots, like `todos.@each.isDone`. Only the
+// segments after the first one may start with `@`.
+var PATH             = /^[A-Za-z_$][A-Za-z0-9_$]*(?:\.@?[A-Za-z_$][A-Za-z0-9_$]*)*/;
+var DIGIT            = /[0-9]/;
+var WHITESPACE       = /\s/;
+
+// The escape sequences of string literals
+var ESCAPES = {
+  "'": "'",
+  '"': '"',
+  '\\': '\\'
+};
+
+// Longest operators first, so that `===` isn't read as `==` followed by `=`.
+var OPERATORS = [
+  '===', '!==', '==', '!=', '<=', '>=', '&&', '||',
+  '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')'
+];
+
+var LITERALS = {
+  'true': true,
+  'false': false,
+  'null': null,
+  'undefined': undefined
+};
+
+var BINARY = {
+  '||':  function(a, b) { return a || b(); },
+  '&&':  function(a, b) { return a && b(); },
+  '===': function(a, b) { return a === b(); },
+  '!==': function(a, b) { return a !== b(); },
+  '==':  function(a, b) { return a == b(); }, // jshint ignore:line
+  '!=':  function(a, b) { return a != b(); }, // jshint ignore:line
+  '<':   function(a, b) { return a < b(); },
+  '<=':  function(a, b) { return a <= b(); },
+  '>':   function(a, b) { return a > b(); },
+  '>=':  function(a, b) { return a >= b(); },
+  '+':   function(a, b) { return a + b(); },
+  '-':   function(a, b) { return a - b(); },
+  '*':   function(a, b) { return a * b(); },
+  '/':   function(a, b) { return a / b(); },
+  '%':   function(a, b) { return a % b(); }
+};
+
+var UNARY = {
+  '!': function(a) { return !a; },
+  '-': function(a) { return -a; },
+  '+': function(a) { return +a; }
+};
+
+// Binary operators from the lowest precedence to the highest
+var PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['===', '!==', '==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+function tokenize(source) {
+  var tokens = [];
+  var index = 0;
+  var length = source.length;
+  var char, start, value, quote, i;
+
+  while (index < length) {
+    char = source.charAt(index);
+    start = index;
+
+    if (WHITESPACE.test(char)) {
+      index++;
+    } else if (DIGIT.test(char) || (char === '.' && DIGIT.test(source.charAt(index + 1)))) {
+      while (index < length && /[0-9.]/.test(source.charAt(index))) { index++; }
+      value = source.slice(start, index);
+
+      if (isNaN(value)) {
+        throw expressionError(source, "Invalid number '" + value + "'", start);
+      }
+
+      tokens.push({ type: 'literal', value: Number(value), index: start });
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      value = '';
+      index++;
+
+      while (index < length && source.charAt(index) !== quote) {
+        char = source.charAt(index);
+
+        if (char === '\\' && index + 1 < length) {
+          char = source.charAt(++index);
+
+          if (!ESCAPES.hasOwnProperty(char)) {
+            throw expressionError(source, "Invalid escape sequence '\\" + char + "'", index - 1);
+          }
+
+          char = ESCAPES[char];
+        }
+
+        value += char;
+        index++;
+      }
+
+      if (index === length) {
+        throw expressionError(source, "Unterminated string", start);
+      }
+
+      index++;
+      tokens.push({ type: 'literal', value: value, index: start });
+    } else if (IDENTIFIER_START.test(char)) {
+      value = PATH.exec(source.slice(index))[0];
+      index += value.length;
+
+      if (LITERALS.hasOwnProperty(value)) {
+        tokens.push({ type: 'literal', value: LITERALS[value], index: start });
+      } else {
+        tokens.push({ type: 'path', value: value, index: start });
+      }
+    } else {
+      for (i = 0; i < OPERATORS.length; i++) {
+        if (source.substr(index, OPERATORS[i].length) === OPERATORS[i]) {
+          value = OPERATORS[i];
+          break;
+        }
+      }
+
+      if (i === OPERATORS.length) {
+        throw expressionError(source, "Unexpected character '" + char + "'", start);
+      }
+
+      index += value.length;
+      tokens.push({ type: 'operator', value: value, index: start });
+    }
+  }
+
+  tokens.push({ type: 'end', value: undefined, index: length });
+
+  return tokens;
+}
+
+function trim(string) {
+  return string.replace(/^\s+|\s+$/g, '');
+}
+
+function expressionError(source, message, index) {
+  return new EmberError("Invalid expression '" + source + "': " + message + " at " + index);
+}
+
+// A recursive descent parser that compiles each node of the expression into a
+// function of the object the expression is evaluated against.
+function Parser(source) {
+  this.source = source;
+  this.tokens = tokenize(source);
+  this.position = 0;
+  this.dependentKeys = [];
+}
+
+Parser.prototype = {
+  peek: function() {
+    return this.tokens[this.position];
+  },
+
+  isOperator: function(value) {
+    var token = this.peek();
+    return token.type === 'operator' && token.value === value;
+  },
+
+  expect: function(value) {
+    if (!this.isOperator(value)) {
+      this.unexpected();
+    }
+
+    this.position++;
+  },
+
+  unexpected: function() {
+    var token = this.peek();
+    var description = "end of expression";
+
+    if (token.type !== 'end') {
+      description = "'" + trim(this.source.slice(token.index, this.tokens[this.position + 1].index)) + "'";
+    }
+
+    throw expressionError(this.source, "Unexpected " + description, token.index);
+  },
+
+  parse: function() {
+    var node = this.parseConditional();
+
+    if (this.peek().type !== 'end') {
+      this.unexpected();
+    }
+
+    return node;
+  },
+
+  parseConditional: function() {
+    var test = this.parseBinary(0);
+
+    if (!this.isOperator('?')) {
+      return test;
+    }
+
+    this.position++;
+    var consequent = this.parseConditional();
+    this.expect(':');
+    var alternate = this.parseConditional();
+
+    return function(obj) {
+      return test(obj) ? consequent(obj) : alternate(obj);
+    };
+  },
+
+  parseBinary: function(level) {
+    if (level === PRECEDENCE.length) {
+      return this.parseUnary();
+    }
+
+    var left = this.parseBinary(level + 1);
+    var token = this.peek();
+
+    while (token.type === 'operator' && indexOf.call(PRECEDENCE[level], token.value) !== -1) {
+      this.position++;
+      left = binary(BINARY[token.value], left, this.parseBinary(level + 1));
+      token = this.peek();
+    }
+
+    return left;
+  },
+
+  parseUnary: function() {
+    var token = this.peek();
+
+    if (token.type === 'operator' && UNARY[token.value]) {
+      this.position++;
+      return unary(UNARY[token.value], this.parseUnary());
+    }
+
+    return this.parsePrimary();
+  },
+
+  parsePrimary: function() {
+    var token = this.peek();
+    var node, key;
+
+    if (token.type === 'literal') {
+      this.position++;
+      return literal(token.value);
+    }
+
+    if (token.type === 'path') {
+      this.position++;
+      key = dependentKeyFor(token.value);
+
+      if (indexOf.call(this.dependentKeys, key) === -1) {
+        this.dependentKeys.push(key);
+      }
+
+      return path(token.value);
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      this.position++;
+      node = this.parseConditional();
+      this.expect(')');
+      return node;
+    }
+
+    this.unexpected();
+  }
+};
+
+function binary(operator, left, right) {
+  return function(obj) {
+    return operator(left(obj), function() { return right(obj); });
+  };
+}
+
+function unary(operator, operand) {
+  return function(obj) {
+    return operator(operand(obj));
+  };
+}
+
+function literal(value) {
+  return function() {
+    return value;
+  };
+}
+
+// Capitalized paths are read from the object like any other, rather than
+// from `Ember.lookup` as global dependent keys would be.
+function dependentKeyFor(key) {
+  return isGlobalPath(key) ? 'this.' + key : key;
+}
+
+function path(key) {
+  return function(obj) {
+    return get(obj, key);
+  };
+}
+
+var expressionCache = new Cache(1000, function(source) {
+  var parser = new Parser(source);
+  var evaluate = parser.parse();
+
+  return {
+    dependentKeys: parser.dependentKeys,
+    evaluate: evaluate
+  };
+});
+
+/**
+  Parses an expression made of property paths, number, string and boolean
+  literals, arithmetic (`+ - * / %`), comparison (`=== !== == != < <= > >=`),
+  boolean (`&& || !`) and conditional (`? :`) operators and parentheses.
+
+  Returns an object with the paths the expression reads as `dependentKeys`,
+  and an `evaluate(obj)` function that evaluates the expression with the
+  paths read from `obj`, capitalized ones included. The expression is never
+  passed to `eval`, and its parse result is cached.
+
+  Throws an `Ember.Error` if the expression is invalid.
+
+  @private
+  @method parseExpression
+  @param {String} source
+  @return {Object}
+*/
+export function parseExpression(source) {
+  return expressionCache.get(source);
+}
@@ -43,6 +43,25 @@ import { tryCatchFinally } from "ember-metal/utils";
   `render`, `render.handlebars`, `render.container`, or
   even `render.handlebars.layout`.
 
+  Nested instrumented blocks form a tree of spans. Subscribers receive the
+  span of the event as the last argument of `before` and `after`. Blocks
+  that end asynchronously, such as transitions, are the children of the
+  block they start in, but not the parents of the blocks that run until they
+  end:
+
+  ```javascript
+  Ember.subscribe("render", {
+    before: function(name, timestamp, payload, span) {
+      // span.id, span.name, span.depth, and span.parent, the span of
+      // the innermost instrumented block this one runs in, or `null`
+    },
+
+    after: function(name, timestamp, payload, beforeValue, span) {
+
+    }
+  });
+  ```
+
   @class Instrumentation
   @namespace Ember
   @static
@@ -50,6 +69,11 @@ import { tryCatchFinally } from "ember-metal/utils";
 export var subscribers = [];
 var cache = {};
 
+// The spans of the synchronous instrumented blocks currently running,
+// outermost first.
+var openSpans = [];
+var lastSpanId = 0;
+
 var populateListeners = function(name) {
   var listeners = [];
   var subscriber;
@@ -65,7 +89,7 @@ var populateListeners = function(name) {
   return listeners;
 };
 
-var time = (function() {
+export var time = (function() {
   var perf = 'undefined' !== typeof window ? window.performance || {} : {};
   var fn = perf.now || perf.mozNow || perf.webkitNow || perf.msNow || perf.oNow;
   // fn.bind will be available in all the browsers that support the advanced window.performance... ;-)
@@ -90,7 +114,7 @@ export function instrument(name, _payload, callback, binding) {
   var payload = _payload || {};
   var finalizer = _instrumentStart(name, function () {
     return payload;
-  });
+  }, true);
   if (finalizer) {
     var tryable = function _instrumenTryable() {
       return callback.call(binding);
@@ -105,7 +129,11 @@ export function instrument(name, _payload, callback, binding) {
 }
 
 // private for now
-export function _instrumentStart(name, _payload) {
+//
+// Blocks that end before any other code runs, by calling the finalizer in a
+// `finally` clause for example, pass `isSync` so that the blocks started
+// within them are nested in them.
+export function _instrumentStart(name, _payload, isSync) {
   var listeners = cache[name];
 
   if (!listeners) {
@@ -117,6 +145,11 @@ export function _instrumentStart(name, _payload) {
   }
 
   var payload = _payload();
+  var span;
+
+  if (Ember.FEATURES.isEnabled('instrumentation-spans')) {
+    span = startSpan(name, isSync);
+  }
 
   var STRUCTURED_PROFILE = Ember.STRUCTURED_PROFILE;
   var timeName;
@@ -131,15 +164,20 @@ export function _instrumentStart(name, _payload) {
   var timestamp = time();
   for (i=0; i<l; i++) {
     listener = listeners[i];
-    beforeValues[i] = listener.before(name, timestamp, payload);
+    beforeValues[i] = listener.before(name, timestamp, payload, span);
   }
 
   return function _instrumentEnd() {
     var i, l, listener;
     var timestamp = time();
+
+    if (Ember.FEATURES.isEnabled('instrumentation-spans')) {
+      endSpan(span);
+    }
+
     for (i=0, l=listeners.length; i<l; i++) {
       listener = listeners[i];
-      listener.after(name, timestamp, payload, beforeValues[i]);
+      listener.after(name, timestamp, payload, beforeValues[i], span);
     }
 
     if (STRUCTURED_PROFILE) {
@@ -148,6 +186,33 @@ export function _instrumentStart(name, _payload) {
   };
 }
 
+function startSpan(name, isSync) {
+  var parent = openSpans[openSpans.length - 1] || null;
+  var span = {
+    id: ++lastSpanId,
+    name: name,
+    parent: parent,
+    depth: parent ? parent.depth + 1 : 0
+  };
+
+  if (isSync) {
+    openSpans.push(span);
+  }
+
+  return span;
+}
+
+function endSpan(span) {
+  // Only the spans of synchronous blocks are open. They usually end last
+  // opened first, but the stack is searched in case one was left open.
+  for (var i = openSpans.length - 1; i >= 0; i--) {
+    if (openSpans[i] === span) {
+      openSpans.splice(i, 1);
+      return;
+    }
+  }
+}
+
 /**
   Subscribes to a particular event or instrumented block of code.
 
@@ -160,6 +225,20 @@ export function _instrumentStart(name, _payload) {
   @return {Subscriber}
 */
 export function subscribe(pattern, object) {
+  var subscriber = {
+    pattern: pattern,
+    regex: _patternRegex(pattern),
+    object: object
+  };
+
+  subscribers.push(subscriber);
+  cache = {};
+
+  return subscriber;
+}
+
+// private for now
+export function _patternRegex(pattern) {
   var paths = pattern.split("."), path, regex = [];
 
   for (var i=0, l=paths.length; i<l; i++) {
@@ -174,16 +253,7 @@ export function subscribe(pattern, object) {
   regex = regex.join("\\.");
   regex = regex + "(\\..*)?";
 
-  var subscriber = {
-    pattern: pattern,
-    regex: new RegExp("^" + regex + "$"),
-    object: object
-  };
-
-  subscribers.push(subscriber);
-  cache = {};
-
-  return subscriber;
+  return new RegExp("^" + regex + "$");
 }
 
 /**
@@ -215,5 +285,6 @@ export function unsubscribe(subscriber) {
 */
 export function reset() {
   subscribers.length = 0;
+  openSpans.length = 0;
   cache = {};
 }
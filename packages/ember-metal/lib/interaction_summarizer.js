@@ -0,0 +1,159 @@
+import {
+  subscribe,
+  unsubscribe,
+  _patternRegex
+} from "ember-metal/instrumentation";
+import { indexOf } from "ember-metal/array";
+
+/**
+@module ember-metal
+*/
+
+/**
+  Summarizes the performance of each user interaction: the time spent
+  handling a browser event, and in the run loop flushes, transitions,
+  renders and other instrumented blocks it triggered.
+
+  ```javascript
+  var summarizer = new Ember.Instrumentation.InteractionSummarizer(function(summary) {
+    console.log(summary.name, summary.duration, summary.events, summary.transitions);
+  });
+
+  summarizer.start();
+  ```
+
+  The summary of an interaction is passed to the callback once the
+  interaction and all the blocks it triggered have finished, including the
+  transitions that were still resolving their models when the event handler
+  returned. It has the following properties:
+
+  * `name`: the name of the interaction, e.g. `interaction.click`
+  * `object`: the `object` of the interaction's payload
+  * `duration`: the time spent handling the browser event, in milliseconds
+  * `events`: the number of times each instrumented block nested in the
+    interaction ran, and the total time it took, by name, e.g.
+    `{ 'render.view': { count: 3, duration: 4.2 } }`
+  * `transitions`: the payloads of the `router.transition` events, with the
+    `from` and `to` routes and the durations of their `modelHooks`
+
+  @class InteractionSummarizer
+  @namespace Ember.Instrumentation
+  @constructor
+  @param {Function} callback called with the summary of each interaction
+  @param {Object} [options]
+    @param {String} [options.pattern='interaction'] the events that start an
+      interaction, as for `Ember.subscribe`
+*/
+function InteractionSummarizer(callback, options) {
+  options = options || {};
+
+  this.callback = callback;
+  this.pattern = options.pattern || 'interaction';
+  this._regex = _patternRegex(this.pattern);
+  this._subscriber = null;
+  this._open = [];
+  this._session = 0;
+}
+
+InteractionSummarizer.prototype = {
+  /**
+    Starts summarizing the interactions.
+
+    @method start
+  */
+  start: function() {
+    if (!this._subscriber) {
+      this._subscriber = subscribe('*', this);
+    }
+  },
+
+  /**
+    Stops summarizing the interactions. The interactions that haven't
+    finished yet are not reported.
+
+    @method stop
+  */
+  stop: function() {
+    if (this._subscriber) {
+      unsubscribe(this._subscriber);
+      this._subscriber = null;
+      this._open = [];
+      this._session++;
+    }
+  },
+
+  before: function(name, timestamp, payload) {
+    var parent = this._open[this._open.length - 1];
+    var block = { start: timestamp, interaction: null, isInteraction: false, session: this._session };
+
+    if (parent) {
+      block.interaction = parent.interaction;
+      block.interaction.pending++;
+    } else if (this._regex.test(name)) {
+      block.isInteraction = true;
+      block.interaction = {
+        pending: 1,
+        summary: {
+          name: name,
+          object: payload.object,
+          duration: undefined,
+          events: {},
+          transitions: []
+        }
+      };
+    } else {
+      return;
+    }
+
+    this._open.push(block);
+
+    return block;
+  },
+
+  after: function(name, timestamp, payload, block) {
+    // The summarizer was stopped since the block began
+    if (!block || block.session !== this._session) { return; }
+
+    var index = indexOf.call(this._open, block);
+
+    if (index !== -1) {
+      this._open.splice(index, 1);
+    }
+
+    var interaction = block.interaction;
+    var summary = interaction.summary;
+    var duration = timestamp - block.start;
+    var events;
+
+    if (block.isInteraction) {
+      summary.duration = duration;
+      detachBlocks(this._open, interaction);
+    } else {
+      events = summary.events[name] || (summary.events[name] = { count: 0, duration: 0 });
+      events.count++;
+      events.duration += duration;
+
+      if (name === 'router.transition') {
+        summary.transitions.push(payload);
+      }
+    }
+
+    if (--interaction.pending === 0) {
+      this.callback(summary);
+    }
+  }
+};
+
+// The blocks of an interaction that are still running when the browser event
+// has been handled, such as transitions, end asynchronously. They are still
+// counted in the interaction, but the blocks that run in the meantime are
+// not nested in them.
+function detachBlocks(open, interaction) {
+  for (var i = open.length - 1; i >= 0; i--) {
+    if (open[i].interaction === interaction) {
+      open.splice(i, 1);
+    }
+  }
+}
+
+export default InteractionSummarizer;
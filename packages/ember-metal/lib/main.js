@@ -14,6 +14,8 @@ import {
   subscribe,
   unsubscribe
 } from "ember-metal/instrumentation";
+import TraceRecorder from "ember-metal/trace_recorder";
+import InteractionSummarizer from "ember-metal/interaction_summarizer";
 import {
   EMPTY_META,
   GUID_KEY,
@@ -171,6 +173,7 @@ import {
 } from 'ember-metal/is_empty';
 import isBlank from 'ember-metal/is_blank';
 import isPresent from 'ember-metal/is_present';
+import { traceChanges } from 'ember-metal/trace_changes';
 import keys from 'ember-metal/keys';
 
 // END IMPORTS
@@ -182,6 +185,14 @@ EmberInstrumentation.subscribe = subscribe;
 EmberInstrumentation.unsubscribe = unsubscribe;
 EmberInstrumentation.reset  = reset;
 
+if (Ember.FEATURES.isEnabled('instrumentation-spans')) {
+  EmberInstrumentation.TraceRecorder = TraceRecorder;
+}
+
+if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+  EmberInstrumentation.InteractionSummarizer = InteractionSummarizer;
+}
+
 Ember.instrument = instrument;
 Ember.subscribe = subscribe;
 
@@ -332,6 +343,12 @@ if (Ember.FEATURES.isEnabled('ember-metal-is-present')) {
   Ember.isPresent = isPresent;
 }
 
+if (Ember.FEATURES.isEnabled('ember-metal-trace-changes')) {
+  Ember.runInDebug(function() {
+    Ember.traceChanges = traceChanges;
+  });
+}
+
 Ember.merge = merge;
 
 /**
@@ -45,11 +45,13 @@ function copyNull(obj) {
 }
 
 function copyMap(original, newObject) {
-  var keys = original.keys.copy();
-  var values = copyNull(original.values);
+  if (Ember.FEATURES.isEnabled('ember-metal-map-iteration')) {
+    copyCallableStorage(original, newObject);
+  } else {
+    newObject.keys = original.keys.copy();
+    newObject.values = copyNull(original.values);
+  }
 
-  newObject.keys = keys;
-  newObject.values = values;
   newObject.size = original.size;
 
   return newObject;
@@ -247,6 +249,10 @@ deprecateProperty(OrderedSet.prototype, 'length', 'size');
   replace an entry in `values`. When an entry is deleted,
   we delete its entry in `keys` and `values`.
 
+  With the `ember-metal-map-iteration` feature, `keys` and `values`
+  are also the ES2015 iteration methods: they are functions returning
+  iterators, which still hold the keys and the values as above.
+
   @class Map
   @namespace Ember
   @private
@@ -254,9 +260,14 @@ deprecateProperty(OrderedSet.prototype, 'length', 'size');
 */
 function Map() {
   if (this instanceof this.constructor) {
-    this.keys = OrderedSet.create();
-    this.keys._silenceRemoveDeprecation = true;
-    this.values = create(null);
+    if (Ember.FEATURES.isEnabled('ember-metal-map-iteration')) {
+      this.keys = callableKeys();
+      this.values = callableValues(this);
+    } else {
+      this.keys = OrderedSet.create();
+      this.keys._silenceRemoveDeprecation = true;
+      this.values = create(null);
+    }
     this.size = 0;
   } else {
     missingNew("OrderedSet");
@@ -418,7 +429,13 @@ Map.prototype = {
   */
   clear: function() {
     this.keys.clear();
-    this.values = create(null);
+
+    if (Ember.FEATURES.isEnabled('ember-metal-map-iteration')) {
+      this.values = callableValues(this);
+    } else {
+      this.values = create(null);
+    }
+
     this.size = 0;
   },
 
@@ -498,6 +515,270 @@ MapWithDefault.prototype.copy = function() {
   }));
 };
 
+if (Ember.FEATURES.isEnabled('ember-metal-map-iteration')) {
+  // Iterators are also made available under `@@iterator` for the libraries
+  // that look for it where `Symbol` is not supported.
+  var ITERATOR = typeof Symbol === 'function' && Symbol.iterator || '@@iterator';
+
+  /**
+    An iterator over the items of an `Ember.OrderedSet`, or the keys of an
+    `Ember.Map`, following the ES2015 iterator protocol. Items added while
+    iterating are visited, and items deleted before they are reached are
+    not.
+
+    @class SetIterator
+    @namespace Ember
+    @private
+    @constructor
+  */
+  var SetIterator = function(set, transform) {
+    this._set = set;
+    this._index = 0;
+    this._last = undefined;
+    this._transform = transform;
+  };
+
+  /**
+    @method next
+    @return {Object} an object with the next item as `value`, and whether
+      the iteration is over as `done`
+  */
+  SetIterator.prototype.next = function() {
+    var list = this._set && this._set.list;
+    var index = this._index;
+    var position;
+
+    // Deleting the items visited so far moves the others back in the list
+    if (list && index > 0 && !isSameValue(list[index - 1], this._last)) {
+      position = indexOf.call(list, this._last);
+      index = position === -1 ? Math.min(index - 1, list.length) : position + 1;
+    }
+
+    if (list && index < list.length) {
+      this._last = list[index];
+      this._index = index + 1;
+
+      return { value: this._transform(this._last), done: false };
+    }
+
+    this._set = null;
+
+    return { value: undefined, done: true };
+  };
+
+  SetIterator.prototype[ITERATOR] = function() {
+    return this;
+  };
+
+  var isSameValue = function(a, b) {
+    return a === b || (a !== a && b !== b);
+  };
+
+  var forEachItem = function(iterable, callback) {
+    var iterator, step, i, l;
+
+    if (typeof iterable[ITERATOR] === 'function') {
+      iterator = iterable[ITERATOR]();
+
+      while (!(step = iterator.next()).done) {
+        callback(step.value);
+      }
+    } else {
+      for (i = 0, l = iterable.length; i < l; i++) {
+        callback(iterable[i]);
+      }
+    }
+  };
+
+  var identity = function(item) {
+    return item;
+  };
+
+  var pair = function(item) {
+    return [item, item];
+  };
+
+  // The `keys` and `values` of a map are read directly by code outside of
+  // Ember, so they remain its ordered set of keys and its values indexed by
+  // guid, while being callable as the iteration methods of ES2015 maps.
+  var callableKeys = function() {
+    var keys = function() {
+      return new SetIterator(keys, identity);
+    };
+
+    for (var name in OrderedSet.prototype) {
+      keys[name] = OrderedSet.prototype[name];
+    }
+
+    keys._silenceRemoveDeprecation = true;
+    keys.clear();
+
+    return keys;
+  };
+
+  var callableValues = function(map) {
+    var values = function() {
+      return new SetIterator(map.keys, function(key) {
+        return values[guidFor(key)];
+      });
+    };
+
+    return values;
+  };
+
+  var copyCallableStorage = function(original, newObject) {
+    var keys = newObject.keys;
+    var values = newObject.values;
+
+    keys.presenceSet = copyNull(original.keys.presenceSet);
+    keys.list = original.keys.toArray();
+    keys.size = original.keys.size;
+
+    for (var guid in original.values) {
+      values[guid] = original.values[guid];
+    }
+  };
+
+  /**
+    Creates an ordered set of the items of an array or of an iterable.
+
+    @method from
+    @static
+    @param {Array|Object} iterable
+    @return {Ember.OrderedSet}
+  */
+  OrderedSet.from = function(iterable) {
+    var Constructor = this;
+    var set = new Constructor();
+
+    if (iterable) {
+      forEachItem(iterable, function(item) {
+        set.add(item);
+      });
+    }
+
+    return set;
+  };
+
+  /**
+    @method keys
+    @return {Ember.SetIterator} an iterator over the items of the set, in
+      insertion order
+  */
+  OrderedSet.prototype.keys = function() {
+    return new SetIterator(this, identity);
+  };
+
+  /**
+    @method values
+    @return {Ember.SetIterator} an iterator over the items of the set, in
+      insertion order
+  */
+  OrderedSet.prototype.values = OrderedSet.prototype.keys;
+
+  /**
+    @method entries
+    @return {Ember.SetIterator} an iterator over `[item, item]` arrays, as
+      for ES2015 sets
+  */
+  OrderedSet.prototype.entries = function() {
+    return new SetIterator(this, pair);
+  };
+
+  OrderedSet.prototype[ITERATOR] = OrderedSet.prototype.values;
+
+  /**
+    @method toJSON
+    @return {Array} the items of the set
+  */
+  OrderedSet.prototype.toJSON = OrderedSet.prototype.toArray;
+
+  /**
+    Creates a map of the `[key, value]` entries of an array or of an
+    iterable, such as another map. Along with `toJSON`, this lets maps
+    round-trip through JSON:
+
+    ```javascript
+    var json = JSON.stringify(map);
+    var copy = Ember.Map.from(JSON.parse(json));
+    ```
+
+    @method from
+    @static
+    @param {Array|Object} iterable
+    @return {Ember.Map}
+  */
+  Map.from = function(iterable) {
+    var Constructor = this;
+    var map = new Constructor();
+
+    if (iterable) {
+      forEachItem(iterable, function(entry) {
+        map.set(entry[0], entry[1]);
+      });
+    }
+
+    return map;
+  };
+
+  /**
+    @method keys
+    @return {Ember.SetIterator} an iterator over the keys of the map, in
+      insertion order
+  */
+  Map.prototype.keys = function() {
+    return new SetIterator(this.keys, identity);
+  };
+
+  /**
+    @method values
+    @return {Ember.SetIterator} an iterator over the values of the map, in
+      the insertion order of their keys
+  */
+  Map.prototype.values = function() {
+    var values = this.values;
+
+    return new SetIterator(this.keys, function(key) {
+      return values[guidFor(key)];
+    });
+  };
+
+  /**
+    @method entries
+    @return {Ember.SetIterator} an iterator over the `[key, value]` entries
+      of the map, in insertion order
+  */
+  Map.prototype.entries = function() {
+    var values = this.values;
+
+    return new SetIterator(this.keys, function(key) {
+      return [key, values[guidFor(key)]];
+    });
+  };
+
+  Map.prototype[ITERATOR] = Map.prototype.entries;
+
+  /**
+    @method toArray
+    @return {Array} the `[key, value]` entries of the map
+  */
+  Map.prototype.toArray = function() {
+    var entries = [];
+
+    this.forEach(function(value, key) {
+      entries.push([key, value]);
+    });
+
+    return entries;
+  };
+
+  /**
+    @method toJSON
+    @return {Array} the `[key, value]` entries of the map
+  */
+  Map.prototype.toJSON = Map.prototype.toArray;
+}
+
 export default Map;
 
 export {
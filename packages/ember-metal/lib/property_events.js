@@ -1,3 +1,4 @@
+import Ember from "ember-metal/core";
 import {
   guidFor,
   tryFinally
@@ -8,6 +9,11 @@ import {
   listenersDiff
 } from "ember-metal/events";
 import ObserverSet from "ember-metal/observer_set";
+import {
+  changeTracing,
+  traceChange,
+  traceCause
+} from "ember-metal/trace_changes";
 
 var beforeObserverSet = new ObserverSet();
 var observerSet = new ObserverSet();
@@ -33,6 +39,17 @@ var deferred = 0;
   @return {void}
 */
 function propertyWillChange(obj, keyName) {
+  if (Ember.FEATURES.isEnabled('ember-metal-trace-changes')) {
+    if (changeTracing.active) {
+      traceChange(obj, keyName, notifyPropertyWillChange, true);
+      return;
+    }
+  }
+
+  notifyPropertyWillChange(obj, keyName);
+}
+
+function notifyPropertyWillChange(obj, keyName) {
   var m = obj['__ember_meta__'];
   var watching = (m && m.watching[keyName] > 0) || keyName === 'length';
   var proto = m && m.proto;
@@ -62,6 +79,17 @@ function propertyWillChange(obj, keyName) {
   @return {void}
 */
 function propertyDidChange(obj, keyName) {
+  if (Ember.FEATURES.isEnabled('ember-metal-trace-changes')) {
+    if (changeTracing.active) {
+      traceChange(obj, keyName, notifyPropertyDidChange, false);
+      return;
+    }
+  }
+
+  notifyPropertyDidChange(obj, keyName);
+}
+
+function notifyPropertyDidChange(obj, keyName) {
   var m = obj['__ember_meta__'];
   var watching = (m && m.watching[keyName] > 0) || keyName === 'length';
   var proto = m && m.proto;
@@ -131,6 +159,13 @@ function iterDeps(method, obj, deps, depKey, seen, meta) {
       key = keys[i];
       desc = descs[key];
       if (desc && desc._suspended === obj) continue;
+
+      if (Ember.FEATURES.isEnabled('ember-metal-trace-changes')) {
+        if (changeTracing.active) {
+          traceCause('dependentKey');
+        }
+      }
+
       method(obj, key);
     }
   }
@@ -151,6 +186,12 @@ function chainsWillChange(obj, keyName, m) {
   }
 
   for (i = 0, l = events.length; i < l; i += 2) {
+    if (Ember.FEATURES.isEnabled('ember-metal-trace-changes')) {
+      if (changeTracing.active) {
+        traceCause('chain');
+      }
+    }
+
     propertyWillChange(events[i], events[i+1]);
   }
 }
@@ -174,6 +215,12 @@ function chainsDidChange(obj, keyName, m, suppressEvents) {
   }
 
   for (i = 0, l = events.length; i < l; i += 2) {
+    if (Ember.FEATURES.isEnabled('ember-metal-trace-changes')) {
+      if (changeTracing.active) {
+        traceCause('chain');
+      }
+    }
+
     propertyDidChange(events[i], events[i+1]);
   }
 }
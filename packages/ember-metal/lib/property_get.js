@@ -10,9 +10,14 @@ import {
   hasThis as pathHasThis
 } from "ember-metal/path_cache";
 import { hasPropertyAccessors } from "ember-metal/platform";
+import { indexOf } from "ember-metal/array";
 
 var FIRST_KEY = /^([^\.]+)/;
 
+// The object whose reads are being recorded by `trackGets`, and the paths
+// read so far.
+var tracking;
+
 // ..........................................................
 // GET AND SET
 //
@@ -97,6 +102,19 @@ var get = function get(obj, keyName) {
   }
 };
 
+if (Ember.FEATURES.isEnabled('ember-metal-computed-tracked')) {
+  // Only `get` with the feature enabled checks whether its reads are tracked
+  var untrackedGet = get;
+
+  get = function get(obj, keyName) {
+    if (tracking !== undefined && tracking.obj === obj && keyName) {
+      return trackedGet(obj, keyName);
+    }
+
+    return untrackedGet(obj, keyName);
+  };
+}
+
 // Currently used only by Ember Data tests
 if (Ember.config.overrideAccessors) {
   Ember.get = get;
@@ -104,6 +122,54 @@ if (Ember.config.overrideAccessors) {
   get = Ember.get;
 }
 
+// Records `keyName`, then gets it without recording the reads it makes
+// itself, so that a path is recorded once and the reads of the computed
+// properties of the object aren't recorded.
+function trackedGet(obj, keyName) {
+  var frame = tracking;
+
+  if (indexOf.call(frame.keys, keyName) === -1) {
+    frame.keys.push(keyName);
+  }
+
+  tracking = undefined;
+
+  try {
+    return get(obj, keyName);
+  } finally {
+    tracking = frame;
+  }
+}
+
+/**
+  Calls `callback`, recording the paths it reads from `obj` with `get`.
+  Only reads made directly on `obj` are recorded: reading `'author.name'`
+  records that path, and neither `'author'` nor the reads made by the
+  computed properties of `obj`.
+
+  @private
+  @method trackGets
+  @for Ember
+  @param {Object} obj The object whose reads to record.
+  @param {Function} callback
+  @return {Object} an object with the return value of `callback` as `value`
+    and the paths read as `keys`.
+*/
+function trackGets(obj, callback) {
+  var previous = tracking;
+  var frame = { obj: obj, keys: [], value: undefined };
+
+  tracking = frame;
+
+  try {
+    frame.value = callback();
+  } finally {
+    tracking = previous;
+  }
+
+  return frame;
+}
+
 /**
   Normalizes a target/path pair to reflect that actual target/path that should
   be observed, etc. This takes into account passing in global property
@@ -182,5 +248,6 @@ export default get;
 export {
   get,
   normalizeTuple,
-  _getPath
+  _getPath,
+  trackGets
 };
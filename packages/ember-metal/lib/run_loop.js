@@ -9,6 +9,7 @@ import {
   endPropertyChanges
 } from 'ember-metal/property_events';
 import Backburner from 'backburner';
+import { _instrumentStart } from 'ember-metal/instrumentation';
 
 function onBegin(current) {
   run.currentRunLoop = current;
@@ -16,6 +17,10 @@ function onBegin(current) {
 
 function onEnd(current, next) {
   run.currentRunLoop = next;
+
+  if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+    finishQueueFlushes(current);
+  }
 }
 
 // ES6TODO: should Backburner become es6?
@@ -33,6 +38,55 @@ var backburner = new Backburner(['sync', 'actions', 'destroy'], {
 });
 var slice = [].slice;
 
+// The finalizers of the queue flushes being instrumented, along with the
+// run loop flushing them.
+var queueFlushes = [];
+
+// Instruments each flush of the queue as a `run-loop.flush.<queue>` event.
+// Backburner reads the `before` and `after` callbacks of a queue from its
+// options every time a run loop starts.
+function instrumentQueue(queueName) {
+  var options = backburner.options[queueName] || {};
+  var before = options.before;
+  var after = options.after;
+
+  backburner.options[queueName] = {
+    before: function() {
+      var finalizer = _instrumentStart('run-loop.flush.' + queueName, function() {
+        return { queue: queueName, object: queueName };
+      }, true);
+
+      if (finalizer) {
+        queueFlushes.push({ runLoop: run.currentRunLoop, finalizer: finalizer });
+      }
+
+      if (before) { before(); }
+    },
+
+    after: function() {
+      if (after) { after(); }
+
+      var flush = queueFlushes[queueFlushes.length - 1];
+
+      if (flush && flush.runLoop === run.currentRunLoop) {
+        queueFlushes.pop();
+        flush.finalizer();
+      }
+    }
+  };
+}
+
+// Backburner skips the `after` callback of a queue when an action of the
+// queue throws, so the flushes are also finished when their run loop ends.
+function finishQueueFlushes(runLoop) {
+  var flush;
+
+  while (queueFlushes.length && queueFlushes[queueFlushes.length - 1].runLoop === runLoop) {
+    flush = queueFlushes.pop();
+    flush.finalizer();
+  }
+}
+
 // ..........................................................
 // run - this is ideally the only public API the dev sees
 //
@@ -168,6 +222,12 @@ run.backburner = backburner;
 run.currentRunLoop = null;
 run.queues = backburner.queueNames;
 
+if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+  for (var i = 0, l = run.queues.length; i < l; i++) {
+    instrumentQueue(run.queues[i]);
+  }
+}
+
 /**
   Begins a new RunLoop. Any deferred actions invoked after the begin will
   be buffered until you invoke a matching call to `run.end()`. This is
@@ -259,11 +319,25 @@ run.schedule = function(queue, target, method) {
 
 // Used by global test teardown
 run.hasScheduledTimers = function() {
+  if (Ember.FEATURES.isEnabled('run-idle-and-chunk')) {
+    if (idleCallbacks.length) { return true; }
+  }
+
   return backburner.hasTimers();
 };
 
 // Used by global test teardown
 run.cancelTimers = function () {
+  if (Ember.FEATURES.isEnabled('ember-metal-run-timing-options')) {
+    timedCalls = [];
+  }
+
+  if (Ember.FEATURES.isEnabled('run-idle-and-chunk')) {
+    idleCallbacks = [];
+    clearTimeout(idleTimeout);
+    idleTimeout = null;
+  }
+
   backburner.cancelTimers();
 };
 
@@ -497,6 +571,24 @@ run.next = function() {
   @return {Boolean} true if cancelled or false/undefined if it wasn't found
 */
 run.cancel = function(timer) {
+  if (Ember.FEATURES.isEnabled('run-idle-and-chunk')) {
+    var index = indexOf.call(idleCallbacks, timer);
+
+    if (index !== -1) {
+      idleCallbacks.splice(index, 1);
+      return true;
+    }
+  }
+
+  if (Ember.FEATURES.isEnabled('ember-metal-run-timing-options')) {
+    var call = findTimedCall(timer);
+
+    if (call) {
+      removeTimedCall(call);
+      return true;
+    }
+  }
+
   return backburner.cancel(timer);
 };
 
@@ -554,6 +646,34 @@ run.cancel = function(timer) {
 
   ```
 
+  Instead of `immediate`, you can pass an options hash with the following
+  properties:
+
+  * `leading`: invoke the method on the leading edge of the wait interval.
+    Defaults to false, or to true for `run.throttle`.
+  * `trailing`: invoke the method on the trailing edge of the wait interval,
+    with the arguments of the latest call, if it was called during the
+    interval. Defaults to true, or to false for `run.throttle`.
+  * `maxWait`: the maximum number of milliseconds the method can be delayed
+    while the debounce keeps being called. Doesn't apply to `run.throttle`,
+    which is never delayed by more than its spacing.
+
+  The calls with the same target, method, wait and options are delayed
+  together, while a call with different ones is timed on its own.
+
+  ```javascript
+    var myFunc = function() { console.log(this.name + ' ran.'); };
+    var myContext = {name: 'debounce'};
+
+    run.debounce(myContext, myFunc, 150, { maxWait: 500 });
+
+    // run.debounce is called again every 100ms
+
+    // 500ms passes
+    // console logs 'debounce ran.' even though run.debounce is still
+    // being called
+  ```
+
   @method debounce
   @param {Object} [target] target of method to invoke
   @param {Function|String} method The method to invoke.
@@ -561,14 +681,74 @@ run.cancel = function(timer) {
     then it will be looked up on the passed target.
   @param {Object} [args*] Optional arguments to pass to the timeout.
   @param {Number} wait Number of milliseconds to wait.
-  @param {Boolean} immediate Trigger the function on the leading instead
-    of the trailing edge of the wait interval. Defaults to false.
+  @param {Boolean|Object} immediate Trigger the function on the leading instead
+    of the trailing edge of the wait interval. Defaults to false. Can also be
+    an options hash, see below.
   @return {Array} Timer information for use in cancelling, see `run.cancel`.
 */
 run.debounce = function() {
+  if (Ember.FEATURES.isEnabled('ember-metal-run-timing-options')) {
+    if (hasTimingOptions(arguments)) {
+      return timeCall(false, arguments);
+    }
+  }
+
   return backburner.debounce.apply(backburner, arguments);
 };
 
+if (Ember.FEATURES.isEnabled('run-idle-and-chunk')) {
+  /**
+    Schedules a method to run once the application is idle, that is when no
+    run loop is running and no timers, debounces or throttles are pending.
+    Each method scheduled runs in its own run loop, after the work scheduled
+    by the previous one is done.
+
+    ```javascript
+    run.idle(this, function() {
+      // prefetch the data the user will probably need next
+    });
+    ```
+
+    The application is checked every 10ms while it is busy, and the methods
+    wait for as long as it stays busy. As with `requestIdleCallback`, pass an
+    options hash with a `timeout` as the last argument to have the method run
+    once that many milliseconds have passed, even though the application is
+    still busy:
+
+    ```javascript
+    run.idle(this, 'saveDraft', { timeout: 2000 });
+    ```
+
+    Idle methods count as scheduled timers, so the test helpers wait for
+    them to run.
+
+    @method idle
+    @param {Object} [target] target of method to invoke
+    @param {Function|String} method The method to invoke.
+      If you pass a string it will be resolved on the
+      target at the time the method is invoked.
+    @param {Object} [args*] Optional arguments to pass to the method.
+    @param {Object} [options]
+      @param {Number} [options.timeout] the number of milliseconds after which
+        the method runs even though the application is not idle
+    @return {Object} Timer information for use in cancelling, see `run.cancel`.
+  */
+  run.idle = function() {
+    var args = slice.call(arguments);
+    var options = hasIdleOptions(args) ? args.pop() : null;
+    var timer = function() {
+      return backburner.run.apply(backburner, args);
+    };
+
+    timer.deadline = options ? +new Date() + options.timeout : null;
+
+    idleCallbacks.push(timer);
+    scheduleIdleCheck(0);
+
+    return timer;
+  };
+}
+
 /**
   Ensure that the target method is never called more frequently than
   the specified spacing period. The target method is called immediately.
@@ -600,14 +780,257 @@ run.debounce = function() {
     then it will be looked up on the passed target.
   @param {Object} [args*] Optional arguments to pass to the timeout.
   @param {Number} spacing Number of milliseconds to space out requests.
-  @param {Boolean} immediate Trigger the function on the leading instead
-    of the trailing edge of the wait interval. Defaults to true.
+  @param {Boolean|Object} immediate Trigger the function on the leading instead
+    of the trailing edge of the wait interval. Defaults to true. Can also be
+    an options hash, see `run.debounce`.
   @return {Array} Timer information for use in cancelling, see `run.cancel`.
 */
 run.throttle = function() {
+  if (Ember.FEATURES.isEnabled('ember-metal-run-timing-options')) {
+    if (hasTimingOptions(arguments)) {
+      return timeCall(true, arguments);
+    }
+  }
+
   return backburner.throttle.apply(backburner, arguments);
 };
 
+if (Ember.FEATURES.isEnabled('ember-metal-run-timing-options')) {
+  /**
+    Immediately invokes the call a debounce or a throttle delayed until the
+    end of its wait interval, if any, and ends the interval, so that the
+    next call starts a new one.
+
+    ```javascript
+    var timer = run.debounce(searchBox, 'search', 300, { trailing: true });
+
+    // the user presses enter before 300ms passed
+    run.flushDebounced(timer);
+    // searchBox.search is invoked
+    ```
+
+    Only the timers of the calls to `run.debounce` and `run.throttle` with
+    an options hash can be flushed.
+
+    @method flushDebounced
+    @param {Array} timer Timer information returned by `run.debounce` or
+      `run.throttle`
+    @return {Boolean} true if the delayed call was invoked
+  */
+  run.flushDebounced = function(timer) {
+    var call = findTimedCall(timer);
+
+    if (!call) { return false; }
+
+    removeTimedCall(call);
+
+    if (call.pending && call.trailing) {
+      backburner.run.apply(backburner, call.args);
+      return true;
+    }
+
+    return false;
+  };
+}
+
+// The methods waiting for the application to be idle, and the timeout of the
+// next check
+var idleCallbacks = [];
+var idleTimeout = null;
+
+function hasIdleOptions(args) {
+  var options = args[args.length - 1];
+
+  return args.length > 1 &&
+    Object.prototype.toString.call(options) === '[object Object]' &&
+    typeof options.timeout === 'number';
+}
+
+function scheduleIdleCheck(wait) {
+  if (idleTimeout === null) {
+    idleTimeout = setTimeout(checkIdle, wait);
+  }
+}
+
+// The index of the first idle method whose timeout has passed, if any
+function overdueIdleCallback() {
+  var time = +new Date();
+
+  for (var i = 0, l = idleCallbacks.length; i < l; i++) {
+    if (idleCallbacks[i].deadline !== null && idleCallbacks[i].deadline <= time) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+function checkIdle() {
+  idleTimeout = null;
+
+  if (!idleCallbacks.length) { return; }
+
+  var index = 0;
+
+  if (run.currentRunLoop || backburner.hasTimers()) {
+    index = overdueIdleCallback();
+
+    if (index === -1) {
+      scheduleIdleCheck(10);
+      return;
+    }
+  }
+
+  var callback = idleCallbacks.splice(index, 1)[0];
+
+  // Checked before running the method, in case it throws
+  scheduleIdleCheck(0);
+  callback();
+}
+
+// Backburner only supports the `immediate` flag, so the debounces and
+// throttles called with an options hash are timed here, with `later` timers
+// that `run.hasScheduledTimers` and `run.cancelTimers` know about.
+var timedCalls = [];
+
+function TimedCall(args, wait, options, throttle) {
+  this.args = args;
+  this.target = args[0];
+  this.method = args[1];
+  this.wait = wait;
+  this.throttle = throttle;
+  this.leading = options.leading === undefined ? throttle : !!options.leading;
+  this.trailing = options.trailing === undefined ? !throttle : !!options.trailing;
+  this.maxWait = throttle ? undefined : options.maxWait;
+  this.pending = false;
+  this.lastCall = undefined;
+  this.intervalStart = undefined;
+  this.timeout = null;
+  this.timer = [this.target, this.method, this];
+}
+
+// The options hash is the last argument, right after the wait
+function hasTimingOptions(args) {
+  var options = args[args.length - 1];
+  var wait = args[args.length - 2];
+
+  return args.length > 2 &&
+    Object.prototype.toString.call(options) === '[object Object]' &&
+    (typeof wait === 'number' || typeof wait === 'string');
+}
+
+function timeCall(throttle, callArgs) {
+  var args = slice.call(callArgs);
+  var options = args.pop();
+  var wait = parseInt(args.pop(), 10);
+  var call = new TimedCall(args, wait, options, throttle);
+  var waiting = findTimedCallLike(call);
+  var time = +new Date();
+
+  if (waiting) {
+    // The delayed call is invoked with the latest arguments
+    waiting.args = args;
+    waiting.lastCall = time;
+    waiting.pending = true;
+
+    if (!waiting.throttle) {
+      scheduleTimedCall(waiting, time);
+    }
+
+    return waiting.timer;
+  }
+
+  call.lastCall = call.intervalStart = time;
+  timedCalls.push(call);
+  scheduleTimedCall(call, time);
+
+  if (call.leading) {
+    backburner.run.apply(backburner, args);
+  } else {
+    call.pending = true;
+  }
+
+  return call.timer;
+}
+
+// Returns the waiting call with the same target, method and timing
+function findTimedCallLike(call) {
+  var other;
+
+  for (var i = 0, l = timedCalls.length; i < l; i++) {
+    other = timedCalls[i];
+
+    if (other.target === call.target && other.method === call.method &&
+        other.throttle === call.throttle && other.wait === call.wait &&
+        other.leading === call.leading && other.trailing === call.trailing &&
+        other.maxWait === call.maxWait) {
+      return other;
+    }
+  }
+}
+
+// Returns the call of the timer if it is still waiting
+function findTimedCall(timer) {
+  var call = timer && timer[2];
+
+  if (call instanceof TimedCall && indexOf.call(timedCalls, call) !== -1) {
+    return call;
+  }
+}
+
+function removeTimedCall(call) {
+  timedCalls.splice(indexOf.call(timedCalls, call), 1);
+  backburner.cancel(call.timeout);
+}
+
+// A debounce waits for `wait` milliseconds without calls, but no more than
+// `maxWait` milliseconds since its interval started, while a throttle waits
+// for `wait` milliseconds since its interval started.
+function scheduleTimedCall(call, time) {
+  var delay = call.wait;
+
+  if (!call.throttle) {
+    delay = call.lastCall + call.wait - time;
+
+    if (call.maxWait !== undefined) {
+      delay = Math.min(delay, call.intervalStart + call.maxWait - time);
+    }
+  }
+
+  backburner.cancel(call.timeout);
+  call.timeout = backburner.later(null, fireTimedCall, call, Math.max(delay, 0));
+}
+
+function fireTimedCall(call) {
+  var time = +new Date();
+  var invoke, done;
+
+  if (call.throttle) {
+    // After a trailing call the throttle waits again, so that the next
+    // leading call is spaced out from it
+    invoke = call.pending && call.trailing;
+    done = !invoke;
+  } else {
+    // A debounce that reached `maxWait` while still being called starts a
+    // new interval, invoking the call on either edge
+    done = time - call.lastCall >= call.wait;
+    invoke = call.pending && (call.trailing || (!done && call.leading));
+  }
+
+  call.pending = false;
+  call.intervalStart = time;
+
+  if (done) {
+    removeTimedCall(call);
+  } else {
+    scheduleTimedCall(call, time);
+  }
+
+  if (invoke) {
+    backburner.run.apply(backburner, call.args);
+  }
+}
+
 // Make sure it's not an autorun during testing
 function checkAutoRun() {
   if (!run.currentRunLoop) {
@@ -629,5 +1052,9 @@ function checkAutoRun() {
 run._addQueue = function(name, after) {
   if (indexOf.call(run.queues, name) === -1) {
     run.queues.splice(indexOf.call(run.queues, after)+1, 0, name);
+
+    if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+      instrumentQueue(name);
+    }
   }
 };
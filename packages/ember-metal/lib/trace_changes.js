@@ -0,0 +1,298 @@
+import { indexOf } from "ember-metal/array";
+
+/**
+@module ember-metal
+*/
+
+// `propertyWillChange`, `propertyDidChange` and the chain nodes only call into
+// the tracer while `changeTracing.active` is true, that is while a trace is
+// recording.
+export var changeTracing = {
+  active: false
+};
+
+var traces = [];
+
+// The changes being propagated, outermost first.
+var stack = [];
+
+// Why the next change is propagated, set just before `propertyWillChange` or
+// `propertyDidChange` is called for a dependent key or a chain.
+var nextCause;
+
+/**
+  Records the changes of a property and their causes. Returned by
+  `Ember.traceChanges`.
+
+  @private
+  @class ChangeTrace
+  @namespace Ember
+*/
+function ChangeTrace(obj, keyName, limit) {
+  this.object = obj;
+  this.key = keyName;
+  this.limit = limit;
+  this.willChanges = [];
+  this.changes = [];
+}
+
+ChangeTrace.prototype = {
+  /**
+    The object whose property is traced.
+
+    @property object
+    @type Object
+  */
+  object: null,
+
+  /**
+    The traced property.
+
+    @property key
+    @type String
+  */
+  key: null,
+
+  /**
+    A tree for every change of the property, in the order they happened. The
+    root of each tree is the change that started the propagation, usually a
+    `set`, and each node has the following properties:
+
+    * `object`: the object whose property changed
+    * `key`: the property that changed
+    * `willChange`: `true` if the property was about to change, `false` if
+      it changed
+    * `cause`: `change` for the root of the tree, and for changes made by
+      the observers of the parent; `dependentKey` if the parent is a
+      dependent key of the property; `chain` if the parent is on the path
+      of a chain watching the property
+    * `chainNodes`: the paths of the chain nodes the change invalidated,
+      relative to the object the chain starts from
+    * `children`: the changes propagated by this one that lead to the
+      traced property
+
+    Only the most recent `limit` trees are kept.
+
+    @property changes
+    @type Array
+  */
+  changes: null,
+
+  /**
+    A tree for every time the property was about to change, in the order
+    they happened, in the same format as `changes`. Only the most recent
+    `limit` trees are kept.
+
+    @property willChanges
+    @type Array
+  */
+  willChanges: null,
+
+  /**
+    The number of trees kept in `changes` and in `willChanges`.
+
+    @property limit
+    @type Number
+    @default 100
+  */
+  limit: 100,
+
+  /**
+    Stops recording changes.
+
+    @method stop
+  */
+  stop: function() {
+    var index = indexOf.call(traces, this);
+
+    if (index !== -1) {
+      traces.splice(index, 1);
+    }
+
+    changeTracing.active = traces.length > 0;
+  }
+};
+
+/**
+  Records why a property changes: every time `obj[keyName]` is about to
+  change and every time it is changed or invalidated, the returned trace
+  records the tree of changes that led to it, from the `set` that started
+  it through the dependent keys and the chains that propagated it.
+
+  ```javascript
+  var author = Ember.Object.create({ name: 'Tom' });
+  var post = Ember.Object.extend({
+    byline: Ember.computed('author.name', function() {
+      return 'By ' + this.get('author.name');
+    })
+  }).create({ author: author });
+
+  var trace = Ember.traceChanges(post, 'byline');
+
+  post.get('byline');
+  author.set('name', 'Tomster');
+
+  trace.changes[0];
+  // {
+  //   object: author, key: 'name', willChange: false, cause: 'change',
+  //   chainNodes: ['author.name'],
+  //   children: [{
+  //     object: post, key: 'author.name', willChange: false, cause: 'chain',
+  //     chainNodes: [],
+  //     children: [{
+  //       object: post, key: 'byline', willChange: false,
+  //       cause: 'dependentKey', chainNodes: [], children: []
+  //     }]
+  //   }]
+  // }
+
+  trace.willChanges[0];
+  // the same tree, recorded when the name was about to change
+
+  trace.stop();
+  ```
+
+  Tracing slows down every property change, and is only available in
+  development builds. Only the most recent trees are kept, 100 by default.
+
+  @method traceChanges
+  @for Ember
+  @param {Object} obj
+  @param {String} keyName
+  @param {Object} [options]
+    @param {Number} [options.limit=100] the number of trees to keep
+  @return {Ember.ChangeTrace}
+*/
+export function traceChanges(obj, keyName, options) {
+  var trace = new ChangeTrace(obj, keyName, options && options.limit);
+
+  traces.push(trace);
+  changeTracing.active = true;
+
+  return trace;
+}
+
+/**
+  Sets the cause of the next change traced.
+
+  @private
+  @method traceCause
+  @param {String} cause
+*/
+export function traceCause(cause) {
+  nextCause = cause;
+}
+
+/**
+  Calls `notify(obj, keyName)`, recording the change and the changes it
+  propagates.
+
+  @private
+  @method traceChange
+  @param {Object} obj
+  @param {String} keyName
+  @param {Function} notify
+  @param {Boolean} willChange whether the property is about to change
+*/
+export function traceChange(obj, keyName, notify, willChange) {
+  var parent = stack[stack.length - 1];
+  var change = {
+    object: obj,
+    key: keyName,
+    willChange: willChange,
+    cause: parent && nextCause || 'change',
+    chainNodes: [],
+    children: []
+  };
+
+  nextCause = undefined;
+
+  if (parent) {
+    parent.children.push(change);
+  }
+
+  stack.push(change);
+
+  try {
+    notify(obj, keyName);
+  } finally {
+    stack.pop();
+    nextCause = undefined;
+
+    if (!parent) {
+      recordChange(change);
+    }
+  }
+}
+
+/**
+  Records that a chain node was invalidated by the current change.
+
+  @private
+  @method traceChainNode
+  @param {Ember.ChainNode} node
+*/
+export function traceChainNode(node) {
+  var change = stack[stack.length - 1];
+  var path = node._key;
+
+  if (!change) { return; }
+
+  for (var parent = node._parent; parent && parent._key; parent = parent._parent) {
+    path = parent._key + '.' + path;
+  }
+
+  change.chainNodes.push(path);
+}
+
+function recordChange(change) {
+  var current = traces.slice();
+
+  for (var i = 0, l = current.length; i < l; i++) {
+    record(current[i].willChanges, leadingTo(change, current[i], true), current[i].limit);
+    record(current[i].changes, leadingTo(change, current[i], false), current[i].limit);
+  }
+}
+
+function record(changes, tree, limit) {
+  if (!tree) { return; }
+
+  changes.push(tree);
+
+  if (changes.length > limit) {
+    changes.shift();
+  }
+}
+
+// Returns a copy of the change with only the branches that lead to the
+// traced property being about to change, or changing, or `null` if none
+// does.
+function leadingTo(change, trace, willChange) {
+  var children = [];
+  var i, l, child;
+
+  if (change.object === trace.object && change.key === trace.key && change.willChange === willChange) {
+    return copyChange(change, children);
+  }
+
+  for (i = 0, l = change.children.length; i < l; i++) {
+    child = leadingTo(change.children[i], trace, willChange);
+
+    if (child) {
+      children.push(child);
+    }
+  }
+
+  return children.length ? copyChange(change, children) : null;
+}
+
+function copyChange(change, children) {
+  return {
+    object: change.object,
+    key: change.key,
+    willChange: change.willChange,
+    cause: change.cause,
+    chainNodes: change.chainNodes.slice(),
+    children: children
+  };
+}
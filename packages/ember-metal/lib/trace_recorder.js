@@ -0,0 +1,178 @@
+import {
+  subscribe,
+  unsubscribe
+} from "ember-metal/instrumentation";
+
+/**
+@module ember-metal
+*/
+
+/**
+  Records instrumented blocks in the trace event format, which the
+  timeline of the Chrome DevTools and `chrome://tracing` can load.
+
+  ```javascript
+  var recorder = new Ember.Instrumentation.TraceRecorder({ sampleRate: 0.1 });
+
+  recorder.start();
+  // ... the slow transition
+  recorder.stop();
+
+  var json = JSON.stringify(recorder);
+  ```
+
+  Only a fraction of the outermost blocks, given by `sampleRate`, are
+  recorded, along with all the blocks nested in them. Once the recorder
+  holds `limit` events, it drops the oldest ones.
+
+  @class TraceRecorder
+  @namespace Ember.Instrumentation
+  @constructor
+  @param {Object} [options]
+    @param {String} [options.pattern='*'] the events to record, as for
+      `Ember.subscribe`
+    @param {Number} [options.sampleRate=1] the fraction of the outermost
+      blocks to record
+    @param {Number} [options.limit=10000] the number of events to keep
+*/
+function TraceRecorder(options) {
+  options = options || {};
+
+  this.pattern = options.pattern || '*';
+  this.sampleRate = options.sampleRate === undefined ? 1 : options.sampleRate;
+  this.limit = options.limit || 10000;
+  this.dropped = 0;
+  // A ring buffer of the events, whose oldest event is at `_oldest` once
+  // it is full
+  this._events = [];
+  this._oldest = 0;
+  this._subscriber = null;
+  this._sampled = {};
+}
+
+TraceRecorder.prototype = {
+  /**
+    Starts recording.
+
+    @method start
+  */
+  start: function() {
+    if (!this._subscriber) {
+      this._subscriber = subscribe(this.pattern, this);
+    }
+  },
+
+  /**
+    Stops recording. The events recorded are kept.
+
+    @method stop
+  */
+  stop: function() {
+    if (this._subscriber) {
+      unsubscribe(this._subscriber);
+      this._subscriber = null;
+      this._sampled = {};
+    }
+  },
+
+  /**
+    Removes the events recorded.
+
+    @method clear
+  */
+  clear: function() {
+    this._events = [];
+    this._oldest = 0;
+    this.dropped = 0;
+  },
+
+  /**
+    Returns the recording in the JSON object format of trace events.
+
+    @method toJSON
+    @return {Object}
+  */
+  toJSON: function() {
+    return {
+      traceEvents: this._events.slice(this._oldest).concat(this._events.slice(0, this._oldest)),
+      displayTimeUnit: 'ms',
+      otherData: {
+        droppedEvents: this.dropped
+      }
+    };
+  },
+
+  before: function(name, timestamp, payload, span) {
+    var parent = span.parent;
+    var sampled;
+
+    if (parent && parent.id in this._sampled) {
+      sampled = this._sampled[parent.id];
+    } else {
+      sampled = Math.random() < this.sampleRate;
+    }
+
+    this._sampled[span.id] = sampled;
+
+    return timestamp;
+  },
+
+  after: function(name, timestamp, payload, start, span) {
+    var sampled = this._sampled[span.id];
+
+    delete this._sampled[span.id];
+
+    if (!sampled) { return; }
+
+    this._record({
+      name: name,
+      cat: name.split('.')[0],
+      ph: 'X',
+      ts: Math.round(start * 1000),
+      dur: Math.round((timestamp - start) * 1000),
+      pid: 1,
+      tid: 1,
+      args: argsFor(payload, span)
+    });
+  },
+
+  _record: function(event) {
+    var events = this._events;
+
+    if (events.length < this.limit) {
+      events.push(event);
+      return;
+    }
+
+    events[this._oldest] = event;
+    this._oldest = (this._oldest + 1) % events.length;
+    this.dropped++;
+  }
+};
+
+// Payloads often reference views and other objects that can't be
+// serialized, so only their primitive values are kept.
+function argsFor(payload, span) {
+  var args = {
+    spanId: span.id,
+    parentSpanId: span.parent ? span.parent.id : null
+  };
+  var value, type;
+
+  for (var key in payload) {
+    if (!payload.hasOwnProperty(key)) { continue; }
+
+    value = payload[key];
+    type = typeof value;
+
+    if (type === 'string' || type === 'number' || type === 'boolean') {
+      args[key] = value;
+    } else if ((key === 'object' || key === 'exception') && value) {
+      args[key] = String(value);
+    }
+  }
+
+  return args;
+}
+
+export default TraceRecorder;
@@ -50,3 +50,98 @@ test("continues working after reaching cache limit", function() {
   equal(cache.get("b"), "B");
   equal(cache.get("c"), "C");
 });
+
+if (Ember.FEATURES.isEnabled('ember-metal-lru-cache')) {
+  test("evicts the least recently used entry once full", function() {
+    var count = 0;
+    var cache = new Cache(2, function(key) {
+      count++;
+      return key.toUpperCase();
+    });
+
+    cache.get("a");
+    cache.get("b");
+    cache.get("a");
+    cache.get("c");
+
+    equal(cache.size, 2);
+
+    count = 0;
+    cache.get("a");
+    cache.get("c");
+    equal(count, 0, "the recently used entries are kept");
+
+    cache.get("b");
+    equal(count, 1, "the least recently used entry was evicted");
+  });
+
+  test("keeps caching the recent keys after many keys were used", function() {
+    var count = 0;
+    var cache = new Cache(10, function(key) {
+      count++;
+      return key;
+    });
+
+    for (var i = 0; i < 100; i++) {
+      cache.get("early" + i);
+    }
+
+    count = 0;
+    cache.get("late");
+    cache.get("late");
+
+    equal(count, 1, "new keys are cached");
+  });
+
+  test("calls onEvict with the evicted entries", function() {
+    var evicted = [];
+    var cache = new Cache(1, function(key) {
+      return key.toUpperCase();
+    }, {
+      onEvict: function(key, value) {
+        evicted.push(key + ':' + value);
+      }
+    });
+
+    cache.get("a");
+    cache.get("b");
+
+    deepEqual(evicted, ["a:A"]);
+  });
+
+  asyncTest("entries expire after the ttl", function() {
+    var count = 0;
+    var cache = new Cache(10, function(key) {
+      count++;
+      return key + count;
+    }, { ttl: 20 });
+
+    equal(cache.get("a"), "a1");
+    equal(cache.get("a"), "a1", "the value is cached until it expires");
+
+    setTimeout(function() {
+      QUnit.start();
+
+      equal(cache.get("a"), "a2", "an expired value is computed again");
+      equal(cache.stats().evictions, 1, "expired entries count as evictions");
+    }, 50);
+  });
+
+  test("stats returns the hits, misses and evictions", function() {
+    var cache = new Cache(2, function(key) {
+      return key;
+    });
+
+    cache.get("a");
+    cache.get("a");
+    cache.get("b");
+    cache.get("c");
+
+    deepEqual(cache.stats(), { hits: 1, misses: 3, evictions: 1, size: 2, limit: 2 });
+
+    cache.purge();
+
+    deepEqual(cache.stats(), { hits: 0, misses: 0, evictions: 0, size: 0, limit: 2 });
+    equal(cache.get("a"), "a", "the cache works after being purged");
+  });
+}
@@ -1141,3 +1141,273 @@ testBoth('computed.deprecatingAlias', function(get, set) {
   equal(get(obj, 'baz'), 'newBaz');
   equal(get(obj, 'quz'), null);
 });
+
+if (Ember.FEATURES.isEnabled('ember-metal-computed-expr')) {
+  testBoth('computed.expr', function(get, set) {
+    var obj = { subtotal: 100, taxRate: 0.2, limit: 110 };
+    defineProperty(obj, 'overLimit', computed.expr('subtotal * (1 + taxRate) > limit'));
+
+    equal(get(obj, 'overLimit'), true);
+
+    set(obj, 'limit', 150);
+    equal(get(obj, 'overLimit'), false, "the expression depends on the properties it uses");
+
+    set(obj, 'taxRate', 0.6);
+    equal(get(obj, 'overLimit'), true, "the expression depends on the properties it uses");
+  });
+
+  testBoth('computed.expr supports paths, strings, booleans and the conditional operator', function(get, set) {
+    var obj = { customer: { name: 'Tomster' }, paid: false, items: [1, 2] };
+    defineProperty(obj, 'summary', computed.expr("customer.name + ': ' + (paid ? 'paid' : 'due') + ' for ' + items.length"));
+
+    equal(get(obj, 'summary'), 'Tomster: due for 2');
+
+    set(obj, 'paid', true);
+    set(obj.customer, 'name', 'Zoey');
+    equal(get(obj, 'summary'), 'Zoey: paid for 2');
+  });
+
+  testBoth('computed.expr follows the precedence of JavaScript operators', function(get, set) {
+    var obj = { a: 2, b: 3, c: 4, yes: true, no: false };
+
+    defineProperty(obj, 'arithmetic', computed.expr('a + b * c - -a % b'));
+    defineProperty(obj, 'comparison', computed.expr('a < b === b <= c'));
+    defineProperty(obj, 'logic', computed.expr('!no && yes || no ? a : b'));
+    defineProperty(obj, 'nested', computed.expr('no ? a : yes ? b : c'));
+    defineProperty(obj, 'equality', computed.expr("a == '2' && a !== '2' && c != null && undefined === nothing"));
+
+    equal(get(obj, 'arithmetic'), 2 + 3 * 4 - (-2) % 3);
+    equal(get(obj, 'comparison'), true);
+    equal(get(obj, 'logic'), 2);
+    equal(get(obj, 'nested'), 3);
+    equal(get(obj, 'equality'), true);
+  });
+
+  test('computed.expr short-circuits boolean operators', function() {
+    var reads = 0;
+    var obj = { yes: true };
+
+    defineProperty(obj, 'expensive', computed(function() {
+      reads++;
+      return true;
+    }));
+
+    defineProperty(obj, 'either', computed.expr('yes || expensive'));
+
+    equal(get(obj, 'either'), true);
+    equal(reads, 0, "the right-hand side was not evaluated");
+  });
+
+  test('computed.expr derives its dependent keys from the expression', function() {
+    var cp = computed.expr('a.b + a.b * (c ? d : 1)');
+
+    deepEqual(cp._dependentKeys, ['a.b', 'c', 'd']);
+  });
+
+  test('computed.expr throws on invalid expressions', function() {
+    throws(function() {
+      computed.expr('a +');
+    }, /Invalid expression 'a \+': Unexpected end of expression at 3/);
+
+    throws(function() {
+      computed.expr('a = b');
+    }, /Unexpected character '=' at 2/);
+
+    throws(function() {
+      computed.expr('(a + b');
+    }, /Unexpected end of expression/);
+
+    throws(function() {
+      computed.expr('a b');
+    }, /Unexpected 'b' at 2/);
+
+    throws(function() {
+      computed.expr("'unterminated");
+    }, /Unterminated string at 0/);
+  });
+
+  test('computed.expr throws on malformed paths', function() {
+    throws(function() {
+      computed.expr('a.');
+    }, /Unexpected character '\.' at 1/);
+
+    throws(function() {
+      computed.expr('a..b');
+    }, /Unexpected character '\.' at 1/);
+
+    throws(function() {
+      computed.expr('@');
+    }, /Unexpected character '@' at 0/);
+
+    throws(function() {
+      computed.expr('a@b');
+    }, /Unexpected character '@' at 1/);
+  });
+
+  testBoth('computed.expr reads capitalized paths from the object rather than from globals', function(get, set) {
+    var originalLookup = Ember.lookup;
+    var obj = { Customer: { name: 'Tomster' } };
+
+    Ember.lookup = { Customer: { name: 'Global' } };
+
+    deepEqual(computed.expr('Customer.name')._dependentKeys, ['this.Customer.name']);
+
+    try {
+      defineProperty(obj, 'name', computed.expr('Customer.name'));
+
+      equal(get(obj, 'name'), 'Tomster');
+
+      set(obj.Customer, 'name', 'Zoey');
+      equal(get(obj, 'name'), 'Zoey', "the expression depends on the path of the object");
+
+      set(Ember.lookup.Customer, 'name', 'Other');
+      equal(get(obj, 'name'), 'Zoey', "the global is not read");
+    } finally {
+      Ember.lookup = originalLookup;
+    }
+  });
+
+  test('computed.expr decodes escaped quotes and backslashes in strings', function() {
+    var obj = {};
+
+    defineProperty(obj, 'quotes', computed.expr("'it\\'s' + \"\\\"\" + '\\\\'"));
+
+    equal(get(obj, 'quotes'), 'it\'s"\\');
+
+    throws(function() {
+      computed.expr("'\\n'");
+    }, /Invalid escape sequence '\\n' at 1/);
+
+    throws(function() {
+      computed.expr("'trailing\\");
+    }, /Unterminated string at 0/);
+  });
+
+  test('computed.expr accepts @each in paths', function() {
+    var cp = computed.expr('todos.@each.isDone && todos.length');
+
+    deepEqual(cp._dependentKeys, ['todos.@each.isDone', 'todos.length']);
+  });
+}
+
+if (Ember.FEATURES.isEnabled('ember-metal-computed-tracked')) {
+  QUnit.module('computed.tracked');
+
+  testBoth('depends on the properties it reads', function(get, set) {
+    var count = 0;
+    var obj = { firstName: 'Tom', lastName: 'Dale' };
+
+    defineProperty(obj, 'fullName', computed.tracked(function() {
+      count++;
+      return get(this, 'firstName') + ' ' + get(this, 'lastName');
+    }));
+
+    equal(get(obj, 'fullName'), 'Tom Dale');
+    equal(get(obj, 'fullName'), 'Tom Dale');
+    equal(count, 1, "the value is cached");
+
+    set(obj, 'lastName', 'Dalé');
+    equal(get(obj, 'fullName'), 'Tom Dalé', "the property is recomputed when a property it read changes");
+    equal(count, 2);
+  });
+
+  testBoth('tracks its dependencies again on every computation', function(get, set) {
+    var obj = { nickname: null, firstName: 'Tom' };
+
+    defineProperty(obj, 'displayName', computed.tracked(function() {
+      return get(this, 'nickname') || get(this, 'firstName');
+    }));
+
+    equal(get(obj, 'displayName'), 'Tom');
+    ok(isWatching(obj, 'nickname') && isWatching(obj, 'firstName'), "both properties are watched");
+
+    set(obj, 'nickname', 'Tomster');
+    equal(get(obj, 'displayName'), 'Tomster');
+    ok(isWatching(obj, 'nickname'), "the property read is watched");
+    ok(!isWatching(obj, 'firstName'), "the property that wasn't read anymore is not watched");
+
+    set(obj, 'firstName', 'Thomas');
+    equal(get(obj, 'displayName'), 'Tomster');
+
+    set(obj, 'nickname', null);
+    equal(get(obj, 'displayName'), 'Thomas');
+  });
+
+  testBoth('depends on the paths it reads', function(get, set) {
+    var author = { name: 'Tom' };
+    var obj = { author: author };
+
+    defineProperty(obj, 'byline', computed.tracked(function() {
+      return 'By ' + get(this, 'author.name');
+    }));
+
+    equal(get(obj, 'byline'), 'By Tom');
+
+    set(author, 'name', 'Yehuda');
+    equal(get(obj, 'byline'), 'By Yehuda', "a change at the end of the path invalidates the property");
+
+    set(obj, 'author', { name: 'Stef' });
+    equal(get(obj, 'byline'), 'By Stef', "a change in the middle of the path invalidates the property");
+  });
+
+  testBoth('does not record the reads of the other tracked properties it reads', function(get, set) {
+    var obj = { firstName: 'Tom', lastName: 'Dale', shout: false };
+
+    defineProperty(obj, 'fullName', computed.tracked(function() {
+      return get(this, 'firstName') + ' ' + get(this, 'lastName');
+    }));
+
+    defineProperty(obj, 'greeting', computed.tracked(function() {
+      var greeting = 'Hello ' + get(this, 'fullName');
+      return get(this, 'shout') ? greeting.toUpperCase() : greeting;
+    }));
+
+    equal(get(obj, 'greeting'), 'Hello Tom Dale');
+    deepEqual(meta(obj).cacheMeta.greeting._dependentKeys, ['fullName', 'shout']);
+
+    set(obj, 'firstName', 'Tomster');
+    equal(get(obj, 'greeting'), 'Hello Tomster Dale', "changes propagate through the tracked property it read");
+  });
+
+  testBoth('is notified to observers', function(get, set) {
+    var obj = { count: 1 };
+    var observed = 0;
+
+    defineProperty(obj, 'double', computed.tracked(function() {
+      return get(this, 'count') * 2;
+    }));
+
+    addObserver(obj, 'double', function() { observed++; });
+    get(obj, 'double');
+
+    set(obj, 'count', 2);
+    equal(observed, 1, "the observer is notified");
+    equal(get(obj, 'double'), 4);
+  });
+
+  testBoth('stops watching its dependencies when it is redefined', function(get, set) {
+    var obj = { count: 1 };
+
+    defineProperty(obj, 'double', computed.tracked(function() {
+      return get(this, 'count') * 2;
+    }));
+
+    get(obj, 'double');
+    ok(isWatching(obj, 'count'));
+
+    defineProperty(obj, 'double', null);
+    ok(!isWatching(obj, 'count'), "the dependency is not watched anymore");
+  });
+
+  testBoth('is read-only', function(get, set) {
+    var obj = {};
+
+    defineProperty(obj, 'value', computed.tracked(function() {
+      return 'value';
+    }));
+
+    throws(function() {
+      set(obj, 'value', 'other');
+    }, /Cannot set read-only property "value"/);
+  });
+}
@@ -2,8 +2,14 @@ import {
   instrument,
   subscribe,
   unsubscribe,
-  reset
+  reset,
+  _instrumentStart
 } from "ember-metal/instrumentation";
+import TraceRecorder from "ember-metal/trace_recorder";
+import InteractionSummarizer from "ember-metal/interaction_summarizer";
+import { computed } from "ember-metal/computed";
+import { defineProperty } from "ember-metal/properties";
+import { get } from "ember-metal/property_get";
 
 QUnit.module("Ember Instrumentation", {
   setup: function() {
@@ -151,3 +157,280 @@ test("it is possible to remove a subscriber", function() {
 
   instrument("render.handlebars", null, function() {});
 });
+
+if (Ember.FEATURES.isEnabled('instrumentation-spans')) {
+  test("nested instrumented blocks form a tree of spans", function() {
+    var spans = {};
+    var afterSpans = [];
+
+    subscribe("render", {
+      before: function(name, timestamp, payload, span) {
+        spans[name] = span;
+      },
+
+      after: function(name, timestamp, payload, beforeValue, span) {
+        afterSpans.push(span);
+      }
+    });
+
+    instrument("render", {}, function() {
+      instrument("render.child", {}, function() {
+        instrument("render.child.grandchild", {}, function() {});
+      });
+
+      instrument("render.sibling", {}, function() {});
+    });
+
+    instrument("render.other", {}, function() {});
+
+    equal(spans.render.parent, null, "the outermost span has no parent");
+    equal(spans.render.depth, 0);
+    equal(spans['render.child'].parent, spans.render);
+    equal(spans['render.child.grandchild'].parent, spans['render.child']);
+    equal(spans['render.child.grandchild'].depth, 2);
+    equal(spans['render.sibling'].parent, spans.render, "spans that ended are not parents");
+    equal(spans['render.other'].parent, null);
+    notEqual(spans.render.id, spans['render.child'].id, "spans have their own id");
+    strictEqual(afterSpans[afterSpans.length - 1], spans['render.other'], "after receives the span");
+  });
+
+  test("blocks that end asynchronously are not the parents of the blocks that run meanwhile", function() {
+    var spans = {};
+    var finalizer;
+
+    subscribe("render", {
+      before: function(name, timestamp, payload, span) {
+        spans[name] = span;
+      },
+
+      after: function() {}
+    });
+
+    instrument("render", {}, function() {
+      finalizer = _instrumentStart("render.async", function() { return {}; });
+
+      instrument("render.child", {}, function() {});
+    });
+
+    instrument("render.other", {}, function() {});
+
+    finalizer();
+
+    instrument("render.last", {}, function() {});
+
+    equal(spans['render.async'].parent, spans.render, "the asynchronous block is a child of the block it starts in");
+    equal(spans['render.child'].parent, spans.render, "the blocks started meanwhile are not its children");
+    equal(spans['render.other'].parent, null, "the blocks started after its parent ended are not its children");
+    equal(spans['render.last'].parent, null);
+  });
+
+  QUnit.module("Ember.Instrumentation.TraceRecorder", {
+    teardown: function() {
+      reset();
+    }
+  });
+
+  test("records the instrumented blocks as trace events", function() {
+    var recorder = new TraceRecorder();
+
+    recorder.start();
+
+    instrument("render.view", { object: '<App.PostView:ember1>', template: 'post', view: {} }, function() {
+      instrument("render.template", {}, function() {});
+    });
+
+    recorder.stop();
+    instrument("render.view", {}, function() {});
+
+    var json = JSON.parse(JSON.stringify(recorder));
+    var events = json.traceEvents;
+
+    equal(events.length, 2, "only the blocks run while recording are recorded");
+
+    var template = events[0];
+    var view = events[1];
+
+    equal(view.name, "render.view");
+    equal(view.cat, "render");
+    equal(view.ph, "X", "blocks are recorded as complete events");
+    ok(typeof view.ts === 'number' && typeof view.dur === 'number');
+    ok(template.ts >= view.ts && template.ts + template.dur <= view.ts + view.dur, "nested blocks are within their parent");
+    deepEqual(view.args, {
+      spanId: view.args.spanId,
+      parentSpanId: null,
+      object: '<App.PostView:ember1>',
+      template: 'post'
+    }, "the primitive values of the payload are kept");
+    equal(template.args.parentSpanId, view.args.spanId);
+  });
+
+  test("samples the outermost blocks along with their nested blocks", function() {
+    var recorder = new TraceRecorder({ sampleRate: 0 });
+
+    recorder.start();
+
+    instrument("render", {}, function() {
+      recorder.sampleRate = 1;
+      instrument("render.nested", {}, function() {});
+    });
+
+    instrument("render", {}, function() {});
+
+    recorder.stop();
+
+    deepEqual(recorder.toJSON().traceEvents.map(function(event) { return event.name; }), ["render"],
+              "the nested block of a block that isn't sampled isn't recorded");
+  });
+
+  test("keeps a bounded number of events", function() {
+    var recorder = new TraceRecorder({ limit: 2 });
+
+    recorder.start();
+
+    instrument("first", {}, function() {});
+    instrument("second", {}, function() {});
+    instrument("third", {}, function() {});
+
+    recorder.stop();
+
+    deepEqual(recorder.toJSON().traceEvents.map(function(event) { return event.name; }), ["second", "third"]);
+    equal(recorder.toJSON().otherData.droppedEvents, 1);
+
+    recorder.start();
+
+    instrument("fourth", {}, function() {});
+    instrument("fifth", {}, function() {});
+    instrument("sixth", {}, function() {});
+
+    recorder.stop();
+
+    deepEqual(recorder.toJSON().traceEvents.map(function(event) { return event.name; }), ["fifth", "sixth"],
+              "the oldest events keep being dropped");
+    equal(recorder.toJSON().otherData.droppedEvents, 4);
+
+    recorder.clear();
+    equal(recorder.toJSON().traceEvents.length, 0);
+  });
+}
+
+if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+  test("InteractionSummarizer summarizes the blocks nested in an interaction", function() {
+    var summaries = [];
+    var summarizer = new InteractionSummarizer(function(summary) {
+      summaries.push(summary);
+    });
+
+    summarizer.start();
+
+    instrument("render.view", {}, function() {});
+
+    instrument("interaction.click", { object: "button" }, function() {
+      instrument("run-loop.flush.actions", {}, function() {
+        instrument("render.view", {}, function() {});
+        instrument("render.view", {}, function() {});
+      });
+    });
+
+    equal(summaries.length, 1, "only the interaction is summarized");
+
+    var summary = summaries[0];
+
+    equal(summary.name, "interaction.click");
+    equal(summary.object, "button");
+    ok(summary.duration >= 0, "has the duration of the interaction");
+    equal(summary.events["run-loop.flush.actions"].count, 1);
+    equal(summary.events["render.view"].count, 2);
+    ok(summary.events["render.view"].duration >= 0, "has the total duration of the blocks");
+    deepEqual(summary.transitions, []);
+
+    summarizer.stop();
+  });
+
+  test("InteractionSummarizer waits for the blocks that finish after the interaction", function() {
+    var summaries = [];
+    var summarizer = new InteractionSummarizer(function(summary) {
+      summaries.push(summary);
+    });
+    var transition = { from: "index", to: "posts", modelHooks: [] };
+    var finishTransition;
+
+    summarizer.start();
+
+    instrument("interaction.click", {}, function() {
+      finishTransition = _instrumentStart("router.transition", function() {
+        return transition;
+      });
+    });
+
+    equal(summaries.length, 0, "the interaction isn't summarized while the transition is pending");
+
+    finishTransition();
+
+    equal(summaries.length, 1, "the interaction is summarized once the transition finishes");
+    equal(summaries[0].events["router.transition"].count, 1);
+    deepEqual(summaries[0].transitions, [transition]);
+
+    summarizer.stop();
+  });
+
+  test("InteractionSummarizer doesn't nest later blocks in a pending transition", function() {
+    var summaries = [];
+    var summarizer = new InteractionSummarizer(function(summary) {
+      summaries.push(summary);
+    });
+    var finishTransition;
+
+    summarizer.start();
+
+    instrument("interaction.click", { object: "first" }, function() {
+      finishTransition = _instrumentStart("router.transition", function() {
+        return { from: "index", to: "posts", modelHooks: [] };
+      });
+    });
+
+    instrument("render.view", {}, function() {});
+
+    instrument("interaction.click", { object: "second" }, function() {
+      instrument("render.view", {}, function() {});
+    });
+
+    equal(summaries.length, 1, "the second interaction is summarized on its own");
+    equal(summaries[0].object, "second");
+    equal(summaries[0].events["render.view"].count, 1);
+    equal(summaries[0].events["router.transition"], undefined);
+
+    finishTransition();
+
+    equal(summaries.length, 2, "the first interaction is summarized once the transition finishes");
+    equal(summaries[1].object, "first");
+    equal(summaries[1].events["router.transition"].count, 1);
+    equal(summaries[1].events["render.view"], undefined, "the unrelated blocks aren't counted");
+
+    summarizer.stop();
+  });
+}
+
+if (Ember.FEATURES.isEnabled('instrumentation-computed-properties')) {
+  test("recomputing a computed property is instrumented", function() {
+    var events = [];
+    var count = 0;
+    var obj = {};
+
+    defineProperty(obj, 'foo', computed(function() {
+      return ++count;
+    }));
+
+    subscribe("computed.recompute", {
+      before: function(name, timestamp, payload) {
+        events.push(payload.key);
+        strictEqual(payload.object, obj);
+      },
+      after: function() {}
+    });
+
+    get(obj, 'foo');
+    get(obj, 'foo');
+
+    deepEqual(events, ['foo'], "the cached value isn't instrumented");
+  });
+}
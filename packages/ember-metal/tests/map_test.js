@@ -1,4 +1,5 @@
 import {
+  OrderedSet,
   Map,
   MapWithDefault
 } from "ember-metal/map";
@@ -560,3 +561,201 @@ test("Copying a MapWithDefault copies the default value", function() {
 
   deepEqual(map2.get('drugs'), ['tom is on', 'drugs']);
 });
+
+if (!Ember.FEATURES.isEnabled('ember-metal-map-iteration')) {
+  QUnit.module("Ember.Map internals");
+
+  test("maps keep their keys and values in `keys` and `values`", function() {
+    var map = Map.create();
+    map.set('a', 1);
+
+    ok(map.keys instanceof OrderedSet, "the keys are an OrderedSet");
+    equal(map.values[Ember.guidFor('a')], 1, "the values are indexed by guid");
+  });
+}
+
+if (Ember.FEATURES.isEnabled('ember-metal-map-iteration')) {
+  var collect = function(iterator) {
+    var items = [];
+    var step;
+
+    while (!(step = iterator.next()).done) {
+      items.push(step.value);
+    }
+
+    return items;
+  };
+
+  QUnit.module("Ember.Map internals");
+
+  test("maps still keep their keys and values in `keys` and `values`", function() {
+    var map = Map.create();
+    var items = [];
+
+    map.set('a', 1);
+    map.set('b', 2);
+
+    ok(map.keys.has('a'), "the keys are an OrderedSet");
+    deepEqual(map.keys.list, ['a', 'b'], "the keys are listed");
+    equal(map.keys.size, 2, "the keys are counted");
+    map.keys.forEach(function(key) { items.push(key); });
+    deepEqual(items, ['a', 'b'], "the keys can be enumerated");
+    equal(map.values[Ember.guidFor('b')], 2, "the values are indexed by guid");
+    deepEqual(collect(map.keys()), ['a', 'b'], "the keys can still be iterated");
+    deepEqual(collect(map.values()), [1, 2], "the values can still be iterated");
+  });
+
+  test("copied and cleared maps keep their keys and values in `keys` and `values`", function() {
+    var map = Map.create();
+    var copy;
+
+    map.set('a', 1);
+    copy = map.copy();
+    copy.set('b', 2);
+
+    deepEqual(copy.keys.list, ['a', 'b'], "the keys of the copy are listed");
+    equal(copy.values[Ember.guidFor('a')], 1, "the values of the copy are indexed by guid");
+    deepEqual(map.keys.list, ['a'], "the keys of the original are unchanged");
+    equal(map.values[Ember.guidFor('b')], undefined, "the values of the original are unchanged");
+
+    map.clear();
+
+    deepEqual(map.keys.list, [], "the keys are cleared");
+    equal(map.values[Ember.guidFor('a')], undefined, "the values are cleared");
+    deepEqual(collect(map.entries()), [], "the entries are cleared");
+  });
+
+  QUnit.module("Ember.Map iteration and conversion");
+
+  test("keys, values and entries iterate in insertion order", function() {
+    var map = Map.create();
+    var key = {};
+
+    map.set(key, 1);
+    map.set('b', 2);
+    map.set('c', 3);
+    map.delete('c');
+
+    deepEqual(collect(map.keys()), [key, 'b']);
+    deepEqual(collect(map.values()), [1, 2]);
+    deepEqual(collect(map.entries()), [[key, 1], ['b', 2]]);
+  });
+
+  test("iterators follow the ES2015 iterator protocol", function() {
+    var map = Map.create();
+    map.set('a', 1);
+
+    var iterator = map.keys();
+
+    deepEqual(iterator.next(), { value: 'a', done: false });
+    deepEqual(iterator.next(), { value: undefined, done: true });
+
+    map.set('b', 2);
+    deepEqual(iterator.next(), { value: undefined, done: true }, "a finished iterator stays finished");
+
+    iterator = map.values();
+    map.set('c', 3);
+    deepEqual(collect(iterator), [1, 2, 3], "entries added before the end of the iteration are visited");
+  });
+
+  test("deleting the current entry while iterating doesn't skip the next one", function() {
+    var map = Map.from([['a', 1], ['b', 2], ['c', 3], ['d', 4]]);
+    var iterator = map.keys();
+    var visited = [];
+    var step;
+
+    while (!(step = iterator.next()).done) {
+      visited.push(step.value);
+      map.delete(step.value);
+    }
+
+    deepEqual(visited, ['a', 'b', 'c', 'd'], "every entry is visited");
+    equal(map.size, 0);
+  });
+
+  test("deleting entries while iterating", function() {
+    var set = OrderedSet.from(['a', 'b', 'c', 'd', 'e']);
+    var iterator = set.values();
+
+    equal(iterator.next().value, 'a');
+    equal(iterator.next().value, 'b');
+
+    set.delete('a');
+    equal(iterator.next().value, 'c', "deleting a visited item doesn't skip the next one");
+
+    set.delete('d');
+    equal(iterator.next().value, 'e', "deleted items that were not visited yet are skipped");
+    ok(iterator.next().done);
+  });
+
+  test("iterators are iterable", function() {
+    var ITERATOR = typeof Symbol === 'function' && Symbol.iterator || '@@iterator';
+    var map = Map.create();
+    map.set('a', 1);
+
+    var iterator = map.entries();
+
+    equal(iterator[ITERATOR](), iterator, "iterators return themselves");
+    deepEqual(collect(map[ITERATOR]()), [['a', 1]], "maps iterate over their entries");
+  });
+
+  test("toArray returns the entries", function() {
+    var map = Map.create();
+    map.set('a', 1);
+    map.set('b', 2);
+
+    deepEqual(map.toArray(), [['a', 1], ['b', 2]]);
+  });
+
+  test("Map.from creates a map from entries, or from another map", function() {
+    var map = Map.from([['a', 1], ['b', 2]]);
+
+    equal(map.size, 2);
+    equal(map.get('b'), 2);
+
+    var copy = Map.from(map);
+
+    ok(copy !== map);
+    deepEqual(copy.toArray(), [['a', 1], ['b', 2]]);
+    equal(Map.from().size, 0, "the iterable is optional");
+  });
+
+  test("maps round-trip through JSON", function() {
+    var map = Map.create();
+    map.set('name', 'Tomster');
+    map.set('tags', ['ember']);
+
+    var json = JSON.stringify(map);
+
+    equal(json, '[["name","Tomster"],["tags",["ember"]]]');
+    deepEqual(Map.from(JSON.parse(json)).toArray(), map.toArray());
+  });
+
+  QUnit.module("Ember.OrderedSet iteration and conversion");
+
+  test("keys, values and entries iterate in insertion order", function() {
+    var set = OrderedSet.create();
+    set.add('a');
+    set.add('b');
+
+    deepEqual(collect(set.keys()), ['a', 'b']);
+    deepEqual(collect(set.values()), ['a', 'b']);
+    deepEqual(collect(set.entries()), [['a', 'a'], ['b', 'b']]);
+  });
+
+  test("OrderedSet.from creates a set from an array or another set", function() {
+    var set = OrderedSet.from(['a', 'b', 'a']);
+
+    equal(set.size, 2);
+    deepEqual(set.toArray(), ['a', 'b']);
+    deepEqual(OrderedSet.from(set).toArray(), ['a', 'b']);
+  });
+
+  test("sets round-trip through JSON", function() {
+    var set = OrderedSet.from(['a', 'b']);
+    var json = JSON.stringify(set);
+
+    equal(json, '["a","b"]');
+    deepEqual(OrderedSet.from(JSON.parse(json)).toArray(), ['a', 'b']);
+  });
+}
@@ -0,0 +1,114 @@
+import isNone from 'ember-metal/is_none';
+import run from 'ember-metal/run_loop';
+
+var originalSetTimeout = window.setTimeout;
+
+function wait(callback, maxWaitCount) {
+  maxWaitCount = isNone(maxWaitCount) ? 100 : maxWaitCount;
+
+  originalSetTimeout(function() {
+    if (maxWaitCount > 0 && (run.hasScheduledTimers() || run.currentRunLoop)) {
+      wait(callback, maxWaitCount - 1);
+
+      return;
+    }
+
+    callback();
+  }, 10);
+}
+
+QUnit.module('run.idle', {
+  teardown: function() {
+    run.cancelTimers();
+  }
+});
+
+if (Ember.FEATURES.isEnabled('run-idle-and-chunk')) {
+  asyncTest('should invoke the method once the timers have run', function() {
+    var calls = [];
+    var obj = { name: 'obj' };
+
+    run.idle(obj, function(value) {
+      calls.push(this.name + ' ' + value);
+    }, 'idle');
+
+    run.later(function() {
+      calls.push('later');
+    }, 20);
+
+    ok(run.hasScheduledTimers(), 'the idle method counts as a scheduled timer');
+
+    wait(function() {
+      QUnit.start();
+      deepEqual(calls, ['later', 'obj idle'], 'the idle method runs after the timers');
+    });
+  });
+
+  asyncTest('should invoke each idle method in its own run loop', function() {
+    var runLoops = [];
+
+    run.idle(function() {
+      runLoops.push(run.currentRunLoop);
+    });
+
+    run.idle(function() {
+      runLoops.push(run.currentRunLoop);
+    });
+
+    wait(function() {
+      QUnit.start();
+      equal(runLoops.length, 2, 'both idle methods ran');
+      ok(runLoops[0] && runLoops[1], 'the idle methods ran in a run loop');
+      notStrictEqual(runLoops[0], runLoops[1], 'the idle methods ran in different run loops');
+    });
+  });
+
+  asyncTest('should not invoke the method while a timer is pending', function() {
+    var calls = [];
+
+    run.idle(function() {
+      calls.push('idle');
+    });
+
+    run.later(function() {
+      calls.push('later');
+    }, 5000);
+
+    originalSetTimeout(function() {
+      QUnit.start();
+      deepEqual(calls, [], 'the idle method waits for the timer');
+      ok(run.hasScheduledTimers(), 'the idle method is still scheduled');
+    }, 100);
+  });
+
+  asyncTest('should invoke the method once its timeout has passed if the application stays busy', function() {
+    var calls = [];
+
+    run.idle(null, function(value) {
+      calls.push(value);
+    }, 'timed out', { timeout: 20 });
+
+    run.idle(function() {
+      calls.push('idle');
+    });
+
+    run.later(function() {
+      calls.push('later');
+    }, 5000);
+
+    originalSetTimeout(function() {
+      QUnit.start();
+      deepEqual(calls, ['timed out'], 'only the method with a timeout ran before the timer');
+    }, 100);
+  });
+
+  test('an idle method can be cancelled', function() {
+    var timer = run.idle(function() {
+      ok(false, 'the idle method should not run');
+    });
+
+    ok(run.cancel(timer), 'the idle method is cancelled');
+    ok(!run.hasScheduledTimers(), 'the idle method is no longer scheduled');
+    ok(!run.cancel(timer), 'the idle method is only cancelled once');
+  });
+}
@@ -0,0 +1,96 @@
+import run from 'ember-metal/run_loop';
+import {
+  subscribe,
+  reset
+} from "ember-metal/instrumentation";
+import { addObserver } from "ember-metal/observer";
+import { set } from "ember-metal/property_set";
+import { get } from "ember-metal/property_get";
+import { indexOf } from "ember-metal/array";
+
+var events;
+
+QUnit.module('system/run_loop/instrumentation_test', {
+  setup: function() {
+    events = [];
+
+    subscribe('run-loop.flush', {
+      before: function(name, timestamp, payload) {
+        events.push('before ' + payload.queue);
+      },
+      after: function(name, timestamp, payload) {
+        events.push('after ' + payload.queue);
+      }
+    });
+  },
+  teardown: function() {
+    var index = indexOf.call(run.queues, 'instrumentationTest');
+
+    if (index !== -1) {
+      run.queues.splice(index, 1);
+      delete run.backburner.options.instrumentationTest;
+    }
+
+    reset();
+  }
+});
+
+if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+  test('each flush of a queue is instrumented', function() {
+    run(function() {
+      run.schedule('actions', function() {
+        events.push('action');
+        run.schedule('sync', function() {
+          events.push('sync');
+        });
+      });
+    });
+
+    deepEqual(events, [
+      'before actions', 'action', 'after actions',
+      'before sync', 'sync', 'after sync'
+    ], 'the empty queues are not instrumented');
+  });
+
+  test('the sync queue still buffers the property changes', function() {
+    var obj = { foo: 'foo' };
+
+    addObserver(obj, 'foo', function() {
+      events.push('observer ' + get(obj, 'foo'));
+    });
+
+    run(function() {
+      run.schedule('sync', function() {
+        set(obj, 'foo', 'bar');
+        set(obj, 'foo', 'baz');
+        events.push('set');
+      });
+    });
+
+    deepEqual(events, ['before sync', 'set', 'observer baz', 'after sync']);
+  });
+
+  test('the flush of a queue ends when one of its actions throws', function() {
+    throws(function() {
+      run(function() {
+        run.schedule('actions', function() {
+          throw new Error('boom');
+        });
+      });
+    }, /boom/);
+
+    deepEqual(events, ['before actions', 'after actions']);
+  });
+
+  test('queues added later are instrumented', function() {
+    run._addQueue('instrumentationTest', 'actions');
+
+    run(function() {
+      run.schedule('instrumentationTest', function() {
+        events.push('added');
+      });
+    });
+
+    deepEqual(events, ['before instrumentationTest', 'added', 'after instrumentationTest']);
+  });
+}
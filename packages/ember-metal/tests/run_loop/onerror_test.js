@@ -1,5 +1,9 @@
 import Ember from 'ember-metal';
 import run from 'ember-metal/run_loop';
+import {
+  addErrorReporter,
+  removeErrorReporter
+} from 'ember-metal/error_reporting';
 
 QUnit.module('system/run_loop/onerror_test');
 
@@ -28,3 +32,81 @@ test('With Ember.onerror set, errors in Ember.run are caught', function () {
 
   Ember.onerror = undefined;
 });
+
+if (Ember.FEATURES.isEnabled('error-reporter')) {
+  test('With an error reporter of the run loop, errors in Ember.run are reported and still thrown', function () {
+    var thrown = new Error('Boom!');
+    var reported = [];
+    var caught;
+    var reporter = {
+      report: function(error, source) {
+        reported.push([error, source]);
+      }
+    };
+
+    addErrorReporter(reporter, { runLoop: true });
+
+    try {
+      run(function() { throw thrown; });
+    } catch (error) {
+      caught = error;
+    } finally {
+      removeErrorReporter(reporter);
+    }
+
+    equal(caught, thrown, 'the error is thrown');
+    deepEqual(reported, [[thrown, 'run-loop']], 'the error is reported');
+
+    try {
+      run(function() { throw thrown; });
+    } catch (error) {}
+
+    equal(reported.length, 1, 'removed reporters are not called');
+  });
+
+  test('With an error reporter of the run loop and Ember.onerror set, errors in Ember.run are reported and caught', function () {
+    var thrown = new Error('Boom!');
+    var reported, caught;
+    var reporter = {
+      report: function(error, source) {
+        reported = source;
+      }
+    };
+
+    Ember.onerror = function(error) { caught = error; };
+    addErrorReporter(reporter, { runLoop: true });
+
+    try {
+      run(function() { throw thrown; });
+    } finally {
+      removeErrorReporter(reporter);
+      Ember.onerror = undefined;
+    }
+
+    equal(caught, thrown, 'Ember.onerror is called');
+    equal(reported, 'run-loop', 'the error is reported');
+  });
+
+  test('Error reporters only catch the errors in Ember.run when they opt in', function () {
+    var reported = [];
+    var reporter = {
+      report: function(error, source) {
+        reported.push(source);
+      }
+    };
+
+    addErrorReporter(reporter);
+
+    try {
+      ok(!run.backburner.options.onError, 'the run loop does not catch errors');
+
+      throws(function() {
+        run(function() { throw new Error('Boom!'); });
+      }, /Boom!/, 'the error is thrown');
+    } finally {
+      removeErrorReporter(reporter);
+    }
+
+    deepEqual(reported, [], 'the error is not reported');
+  });
+}
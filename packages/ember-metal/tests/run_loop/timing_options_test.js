@@ -0,0 +1,171 @@
+import isNone from 'ember-metal/is_none';
+import run from 'ember-metal/run_loop';
+
+var originalSetTimeout = window.setTimeout;
+
+function wait(callback, maxWaitCount) {
+  maxWaitCount = isNone(maxWaitCount) ? 100 : maxWaitCount;
+
+  originalSetTimeout(function() {
+    if (maxWaitCount > 0 && (run.hasScheduledTimers() || run.currentRunLoop)) {
+      wait(callback, maxWaitCount - 1);
+
+      return;
+    }
+
+    callback();
+  }, 10);
+}
+
+var calls;
+
+function record(value) {
+  calls.push(value);
+}
+
+QUnit.module('run.debounce and run.throttle options', {
+  setup: function() {
+    calls = [];
+  },
+  teardown: function() {
+    run.cancelTimers();
+  }
+});
+
+if (Ember.FEATURES.isEnabled('ember-metal-run-timing-options')) {
+  asyncTest('debounce invokes the method on the trailing edge with the latest arguments', function() {
+    run.debounce(null, record, 'a', 20, {});
+    run.debounce(null, record, 'b', 20, {});
+
+    deepEqual(calls, [], 'the method is not invoked on the leading edge');
+
+    wait(function() {
+      QUnit.start();
+      deepEqual(calls, ['b'], 'the method is invoked once');
+    });
+  });
+
+  asyncTest('debounce can invoke the method on both edges', function() {
+    run.debounce(null, record, 'a', 20, { leading: true, trailing: true });
+    run.debounce(null, record, 'b', 20, { leading: true, trailing: true });
+
+    deepEqual(calls, ['a'], 'the method is invoked on the leading edge');
+
+    wait(function() {
+      QUnit.start();
+      deepEqual(calls, ['a', 'b'], 'the method is invoked on the trailing edge');
+    });
+  });
+
+  asyncTest('debounce invokes the method on the leading edge only when trailing is false', function() {
+    run.debounce(null, record, 'a', 20, { leading: true, trailing: false });
+    run.debounce(null, record, 'b', 20, { leading: true, trailing: false });
+
+    wait(function() {
+      QUnit.start();
+      deepEqual(calls, ['a']);
+    });
+  });
+
+  asyncTest('debounce invokes the method after maxWait even while it is still called', function() {
+    var remaining = 15;
+    var callsWhileDebouncing;
+
+    function debounce() {
+      run.debounce(null, record, remaining, 50, { maxWait: 60 });
+
+      if (--remaining > 0) {
+        originalSetTimeout(debounce, 10);
+      } else {
+        callsWhileDebouncing = calls.length;
+
+        wait(function() {
+          QUnit.start();
+          ok(callsWhileDebouncing > 0, 'the method was invoked while debounce was still called');
+          equal(calls[calls.length - 1], 1, 'the method is invoked with the latest arguments in the end');
+        });
+      }
+    }
+
+    debounce();
+  });
+
+  asyncTest('throttle can invoke the method on the trailing edge only', function() {
+    run.throttle(null, record, 'a', 20, { leading: false, trailing: true });
+    run.throttle(null, record, 'b', 20, { leading: false, trailing: true });
+
+    deepEqual(calls, [], 'the method is not invoked on the leading edge');
+
+    wait(function() {
+      QUnit.start();
+      deepEqual(calls, ['b'], 'the method is invoked once with the latest arguments');
+    });
+  });
+
+  asyncTest('throttle spaces out the leading call from the trailing call', function() {
+    run.throttle(null, record, 'a', 20, { leading: true, trailing: true });
+    run.throttle(null, record, 'b', 20, { leading: true, trailing: true });
+
+    deepEqual(calls, ['a'], 'the method is invoked on the leading edge');
+
+    originalSetTimeout(function() {
+      deepEqual(calls, ['a', 'b'], 'the method is invoked on the trailing edge');
+
+      run.throttle(null, record, 'c', 20, { leading: true, trailing: true });
+
+      deepEqual(calls, ['a', 'b'], 'the method is not invoked right after the trailing call');
+
+      wait(function() {
+        QUnit.start();
+        deepEqual(calls, ['a', 'b', 'c']);
+      });
+    }, 30);
+  });
+
+  test('the timer of a call with options can be cancelled', function() {
+    var timer = run.debounce(null, record, 'a', 20, { leading: true });
+
+    run.debounce(null, record, 'b', 20, { leading: true });
+
+    ok(run.hasScheduledTimers(), 'the debounce is scheduled');
+    ok(run.cancel(timer), 'the debounce is cancelled');
+    ok(!run.hasScheduledTimers(), 'the debounce is no longer scheduled');
+    ok(!run.cancel(timer), 'the debounce is only cancelled once');
+
+    run.debounce(null, record, 'c', 20, { leading: true });
+
+    deepEqual(calls, ['a', 'c'], 'the next call starts a new interval');
+  });
+
+  test('calls with different timing are delayed separately', function() {
+    var debounce = run.debounce(null, record, 'a', 20, { leading: true });
+    var longerDebounce = run.debounce(null, record, 'b', 30, { leading: true });
+    var trailingDebounce = run.debounce(null, record, 'c', 20, { leading: true, trailing: false });
+    var throttle = run.throttle(null, record, 'd', 20, { leading: true });
+
+    deepEqual(calls, ['a', 'b', 'c', 'd'], 'each call starts its own interval');
+    notEqual(debounce, longerDebounce);
+    notEqual(debounce, trailingDebounce);
+    notEqual(debounce, throttle);
+
+    strictEqual(run.debounce(null, record, 'e', 20, { leading: true }), debounce,
+                'a call with the same timing is delayed with the waiting one');
+    deepEqual(calls, ['a', 'b', 'c', 'd']);
+  });
+
+  test('run.flushDebounced invokes the delayed call immediately', function() {
+    var timer = run.debounce(null, record, 'a', 20, {});
+
+    run.debounce(null, record, 'b', 20, {});
+
+    ok(run.flushDebounced(timer), 'the delayed call is invoked');
+    deepEqual(calls, ['b']);
+    ok(!run.hasScheduledTimers(), 'the debounce is no longer scheduled');
+    ok(!run.flushDebounced(timer), 'the debounce is only flushed once');
+
+    timer = run.throttle(null, record, 'c', 20, {});
+
+    ok(!run.flushDebounced(timer), 'there is no delayed call to invoke');
+    deepEqual(calls, ['b', 'c']);
+  });
+}
@@ -0,0 +1,158 @@
+import Ember from 'ember-metal/core';
+import { traceChanges } from 'ember-metal/trace_changes';
+import { computed } from 'ember-metal/computed';
+import { defineProperty } from 'ember-metal/properties';
+import { get } from 'ember-metal/property_get';
+import { set } from 'ember-metal/property_set';
+import { addObserver } from 'ember-metal/observer';
+
+var author, post, trace;
+
+function describe(change) {
+  return {
+    key: change.key,
+    cause: change.cause,
+    chainNodes: change.chainNodes,
+    children: change.children.map(describe)
+  };
+}
+
+if (Ember.FEATURES.isEnabled('ember-metal-trace-changes')) {
+  QUnit.module('Ember.traceChanges', {
+    setup: function() {
+      author = { name: 'Tom' };
+      post = { author: author, title: 'Tracing' };
+
+      defineProperty(post, 'byline', computed('author.name', function() {
+        return 'By ' + get(this, 'author.name');
+      }));
+
+      defineProperty(post, 'heading', computed('title', 'byline', function() {
+        return get(this, 'title') + ' - ' + get(this, 'byline');
+      }));
+
+      get(post, 'heading');
+    },
+
+    teardown: function() {
+      if (trace) { trace.stop(); }
+      author = post = trace = null;
+    }
+  });
+
+  test('records the dependent keys propagating a change', function() {
+    trace = traceChanges(post, 'heading');
+
+    set(post, 'title', 'Tracing changes');
+
+    equal(trace.changes.length, 1);
+    equal(trace.changes[0].object, post);
+    deepEqual(describe(trace.changes[0]), {
+      key: 'title', cause: 'change', chainNodes: [],
+      children: [{ key: 'heading', cause: 'dependentKey', chainNodes: [], children: [] }]
+    });
+  });
+
+  test('records the chains propagating a change', function() {
+    trace = traceChanges(post, 'heading');
+
+    set(author, 'name', 'Tomster');
+
+    var change = trace.changes[0];
+
+    equal(change.object, author, "the root is the set that started the change");
+    equal(change.children[0].object, post);
+    deepEqual(describe(change), {
+      key: 'name', cause: 'change', chainNodes: ['author.name'],
+      children: [{
+        key: 'author.name', cause: 'chain', chainNodes: [],
+        children: [{
+          key: 'byline', cause: 'dependentKey', chainNodes: [],
+          children: [{ key: 'heading', cause: 'dependentKey', chainNodes: [], children: [] }]
+        }]
+      }]
+    });
+  });
+
+  test('records the changes made by observers', function() {
+    post.views = 0;
+    addObserver(post, 'views', function() {
+      set(post, 'title', 'Popular');
+    });
+
+    trace = traceChanges(post, 'heading');
+
+    set(post, 'views', 1000);
+
+    deepEqual(describe(trace.changes[0]), {
+      key: 'views', cause: 'change', chainNodes: [],
+      children: [{
+        key: 'title', cause: 'change', chainNodes: [],
+        children: [{ key: 'heading', cause: 'dependentKey', chainNodes: [], children: [] }]
+      }]
+    });
+  });
+
+  test('only records the changes leading to the traced property', function() {
+    post.views = 0;
+    addObserver(post, 'views', function() {});
+
+    trace = traceChanges(post, 'byline');
+
+    set(post, 'views', 1);
+    set(post, 'title', 'Untraced');
+
+    equal(trace.changes.length, 0, "no change led to the property");
+
+    set(author, 'name', 'Zoey');
+
+    equal(trace.changes.length, 1);
+    deepEqual(describe(trace.changes[0]).children[0].children, [
+      { key: 'byline', cause: 'dependentKey', chainNodes: [], children: [] }
+    ], "the changes of the properties depending on the traced property are left out");
+  });
+
+  test('records the changes propagating a property being about to change', function() {
+    trace = traceChanges(post, 'heading');
+
+    set(author, 'name', 'Tomster');
+
+    equal(trace.willChanges.length, 1);
+    equal(trace.willChanges[0].willChange, true);
+    equal(trace.changes[0].willChange, false);
+    deepEqual(describe(trace.willChanges[0]), {
+      key: 'name', cause: 'change', chainNodes: ['author.name'],
+      children: [{
+        key: 'author.name', cause: 'chain', chainNodes: [],
+        children: [{
+          key: 'byline', cause: 'dependentKey', chainNodes: [],
+          children: [{ key: 'heading', cause: 'dependentKey', chainNodes: [], children: [] }]
+        }]
+      }]
+    });
+  });
+
+  test('only keeps the most recent changes', function() {
+    trace = traceChanges(post, 'heading', { limit: 2 });
+
+    set(post, 'title', 'First');
+    get(post, 'heading');
+    set(post, 'title', 'Second');
+    get(post, 'heading');
+    set(author, 'name', 'Third');
+
+    equal(trace.changes.length, 2);
+    equal(trace.willChanges.length, 2);
+    equal(trace.changes[0].key, 'title', "the oldest change is dropped");
+    equal(trace.changes[1].key, 'name');
+  });
+
+  test('stops recording once stopped', function() {
+    trace = traceChanges(post, 'heading');
+    trace.stop();
+
+    set(post, 'title', 'Untraced');
+
+    equal(trace.changes.length, 0);
+  });
+}
@@ -570,3 +570,21 @@ test("Using quoteless templateName works properly (DEPRECATED)", function(){
 
   equal(view.$('p:contains(BYE)').length, 1, "template was rendered");
 });
+
+if (Ember.FEATURES.isEnabled('container-namespaced-lookups')) {
+  test("{{render}} helper should accept namespaced names", function() {
+    var template = "<h1>HI</h1>{{render 'admin@users'}}";
+    var controller = EmberController.extend({container: container});
+    view = EmberView.create({
+      controller: controller.create(),
+      template: compile(template)
+    });
+
+    container.register('admin@template:users', compile("<p>{{name}}</p>"));
+    container.register('admin@controller:users', EmberController.extend({ name: 'ADMIN USERS' }));
+
+    appendView(view);
+
+    equal(view.$().text(), 'HIADMIN USERS', "the namespaced template and controller are rendered");
+  });
+}
@@ -1,4 +1,5 @@
 import Ember from "ember-metal/core"; // FEATURES, assert
+import merge from "ember-metal/merge";
 
 /**
 @module ember
@@ -8,6 +9,12 @@ import Ember from "ember-metal/core"; // FEATURES, assert
 function DSL(name) {
   this.parent = name;
   this.matches = [];
+
+  if (Ember.FEATURES.isEnabled('routing-lazy-bundles')) {
+    // the names of the bundles of lazily loaded routes, by route name
+    this.bundles = {};
+    this.bundle = undefined;
+  }
 }
 export default DSL;
 
@@ -30,14 +37,34 @@ DSL.prototype = {
       createRoute(this, name + '_error', { path: "/_unused_dummy_error_path_route_" + name + "/:error"});
     }
 
+    var fullName = getFullName(this, name, options.resetNamespace);
+    var bundle;
+
+    if (Ember.FEATURES.isEnabled('routing-lazy-bundles')) {
+      bundle = options.lazy || this.bundle;
+
+      if (bundle) {
+        this.bundles[fullName] = bundle;
+      }
+    }
+
     if (callback) {
-      var fullName = getFullName(this, name, options.resetNamespace);
       var dsl = new DSL(fullName);
+
+      if (Ember.FEATURES.isEnabled('routing-lazy-bundles')) {
+        // the routes of the subtree live in the same bundle
+        dsl.bundle = bundle;
+      }
+
       createRoute(dsl, 'loading');
       createRoute(dsl, 'error', { path: "/_unused_dummy_error_path_route_" + name + "/:error" });
 
       callback.call(dsl);
 
+      if (Ember.FEATURES.isEnabled('routing-lazy-bundles')) {
+        merge(this.bundles, dsl.bundles);
+      }
+
       createRoute(this, name, options, dsl.generate());
     } else {
       createRoute(this, name, options);
@@ -1,4 +1,4 @@
-import Ember from "ember-metal/core"; // Logger
+import Ember from "ember-metal/core"; // Logger, FEATURES
 import { get } from "ember-metal/property_get";
 import { isArray } from "ember-metal/utils";
 
@@ -47,6 +47,12 @@ export function generateControllerFactory(container, controllerName, context) {
 
   container.register(fullName,  Factory);
 
+  if (Ember.FEATURES.isEnabled('resolver-lookup-report')) {
+    if (container.resolver && container.resolver.didGenerate) {
+      container.resolver.didGenerate(fullName);
+    }
+  }
+
   return Factory;
 }
 
@@ -25,6 +25,7 @@ import Evented from "ember-runtime/mixins/evented";
 import ActionHandler from "ember-runtime/mixins/action_handler";
 import generateController from "ember-routing/system/generate_controller";
 import { stashParamNames } from "ember-routing/utils";
+import { time } from "ember-metal/instrumentation";
 
 /**
 @module ember
@@ -1975,6 +1976,11 @@ function appendView(route, view, options) {
     parentView.connectOutlet(options.outlet, view);
   } else {
     var rootElement = get(route, 'router.namespace.rootElement');
+
+    if (Ember.FEATURES.isEnabled('application-instance')) {
+      // set by the application instance that owns the router
+      rootElement = get(route, 'router.rootElement') || rootElement;
+    }
     // tear down view if one is already rendered
     if (route.teardownTopLevelView) {
       route.teardownTopLevelView();
@@ -2004,6 +2010,53 @@ function getFullQueryParams(router, state) {
   return state.fullQueryParams;
 }
 
+if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+  // Router.js calls the `_` prefixed version of a hook when the route has
+  // one, which lets the routes time their model hooks for the
+  // `router.transition` event of the transition.
+  Route.reopen({
+    _beforeModel: function() {
+      return timeModelHook(this, 'beforeModel', 'beforeModel', arguments);
+    },
+
+    _deserialize: function() {
+      return timeModelHook(this, 'deserialize', 'model', arguments);
+    },
+
+    _afterModel: function() {
+      return timeModelHook(this, 'afterModel', 'afterModel', arguments);
+    }
+  });
+
+  var timeModelHook = function(route, method, hookName, args) {
+    // The transition is passed as the last argument of the hooks
+    var transition = args[args.length - 1];
+    var payload = transition && transition._instrumentation;
+
+    if (!payload) {
+      return route[method].apply(route, args);
+    }
+
+    var start = time();
+    var hook = { route: route.routeName, hook: hookName, duration: undefined };
+    var result = route[method].apply(route, args);
+
+    var finish = function() {
+      hook.duration = time() - start;
+    };
+
+    payload.modelHooks.push(hook);
+
+    if (result && typeof result.then === 'function' && !result.isTransition) {
+      result.then(finish, finish, 'Ember: Time ' + hookName + ' hook');
+    } else {
+      finish();
+    }
+
+    return result;
+  };
+}
+
 function getQueryParamsFor(route, state) {
   state.queryParamsFor = state.queryParamsFor || {};
   var name = route.routeName;
@@ -6,6 +6,7 @@ import { defineProperty } from "ember-metal/properties";
 import { computed } from "ember-metal/computed";
 import merge from "ember-metal/merge";
 import run from "ember-metal/run_loop";
+import { _instrumentStart } from "ember-metal/instrumentation";
 
 import { fmt } from "ember-runtime/system/string";
 import EmberObject from "ember-runtime/system/object";
@@ -66,7 +67,12 @@ var EmberRouter = EmberObject.extend(Evented, {
   rootURL: '/',
 
   init: function() {
-    this.router = this.constructor.router || this.constructor.map(Ember.K);
+    if (Ember.FEATURES.isEnabled('application-instance')) {
+      this.router = this._initRouterJs();
+    } else {
+      this.router = this.constructor.router || this.constructor.map(Ember.K);
+    }
+
     this._activeViews = {};
     this._setupLocation();
     this._qpCache = {};
@@ -95,10 +101,20 @@ var EmberRouter = EmberObject.extend(Evented, {
     If no value is found `/` will be used.
 
     @method startRouting
+    @return {Transition} the initial transition
     @private
   */
   startRouting: function() {
-    this.router = this.router || this.constructor.map(Ember.K);
+    if (Ember.FEATURES.isEnabled('application-instance')) {
+      // pick up the routes that were mapped since the router was created
+      this.router = this._initRouterJs();
+
+      if (get(this, 'namespace.LOG_TRANSITIONS_INTERNAL')) {
+        this.router.log = Ember.Logger.debug;
+      }
+    } else {
+      this.router = this.router || this.constructor.map(Ember.K);
+    }
 
     var router = this.router;
     var location = get(this, 'location');
@@ -125,7 +141,7 @@ var EmberRouter = EmberObject.extend(Evented, {
       initialURL = location.getURL();
     }
 
-    this.handleURL(initialURL);
+    return this.handleURL(initialURL);
   },
 
   /**
@@ -149,6 +165,10 @@ var EmberRouter = EmberObject.extend(Evented, {
     // less surprising than didTransition being out of sync.
     run.once(this, this.trigger, 'didTransition');
 
+    if (Ember.FEATURES.isEnabled('error-reporter')) {
+      leaveBreadcrumb(this, 'transition', "Transitioned into '" + EmberRouter._routePath(infos) + "'");
+    }
+
     if (get(this, 'namespace').LOG_TRANSITIONS) {
       Ember.Logger.log("Transitioned into '" + EmberRouter._routePath(infos) + "'");
     }
@@ -162,7 +182,17 @@ var EmberRouter = EmberObject.extend(Evented, {
   },
 
   _doURLTransition: function(routerJsMethod, url) {
-    var transition = this.router[routerJsMethod](url || '/');
+    var router = this.router;
+    var transition;
+
+    if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+      transition = instrumentTransition(this, function() {
+        return router[routerJsMethod](url || '/');
+      });
+    } else {
+      transition = router[routerJsMethod](url || '/');
+    }
+
     listenForTransitionErrors(transition);
     return transition;
   },
@@ -236,6 +266,10 @@ var EmberRouter = EmberObject.extend(Evented, {
   },
 
   send: function(name, context) {
+    if (Ember.FEATURES.isEnabled('error-reporter')) {
+      leaveBreadcrumb(this, 'action', "Sent '" + name + "'");
+    }
+
     this.router.trigger.apply(this.router, arguments);
   },
 
@@ -261,6 +295,17 @@ var EmberRouter = EmberObject.extend(Evented, {
     this.router.reset();
   },
 
+  _initRouterJs: function() {
+    var classRouter = this.constructor.router;
+    var router = createRouterJs();
+
+    // Every Ember.Router gets its own router.js instance, so that the
+    // instances of an application can route independently.
+    mapRouterJs(router, classRouter ? classRouter.callbacks : []);
+
+    return router;
+  },
+
   _lookupActiveView: function(templateName) {
     var active = this._activeViews[templateName];
     return active && active[0];
@@ -325,6 +370,12 @@ var EmberRouter = EmberObject.extend(Evented, {
     var DefaultRoute = container.lookupFactory('route:basic');
     var self = this;
 
+    if (Ember.FEATURES.isEnabled('container-lookup-async') || Ember.FEATURES.isEnabled('routing-lazy-bundles')) {
+      var lazyRoutes = new LazyRoutes(this, DefaultRoute, function(name) {
+        delete seen[name];
+      });
+    }
+
     return function(name) {
       var routeName = 'route:' + name;
       var handler = container.lookup(routeName);
@@ -335,10 +386,22 @@ var EmberRouter = EmberObject.extend(Evented, {
 
       seen[name] = true;
 
+      if (Ember.FEATURES.isEnabled('container-lookup-async') || Ember.FEATURES.isEnabled('routing-lazy-bundles')) {
+        if (!handler) {
+          handler = lazyRoutes.placeholderFor(name);
+        }
+      }
+
       if (!handler) {
         container.register(routeName, DefaultRoute.extend());
         handler = container.lookup(routeName);
 
+        if (Ember.FEATURES.isEnabled('resolver-lookup-report')) {
+          if (container.resolver && container.resolver.didGenerate) {
+            container.resolver.didGenerate(routeName);
+          }
+        }
+
         if (get(self, 'namespace.LOG_ACTIVE_GENERATION')) {
           Ember.Logger.info("generated -> " + routeName, { fullName: routeName });
         }
@@ -431,7 +494,16 @@ var EmberRouter = EmberObject.extend(Evented, {
     this._prepareQueryParams(targetRouteName, models, queryParams);
 
     var transitionArgs = routeArgs(targetRouteName, models, queryParams);
-    var transitionPromise = this.router.transitionTo.apply(this.router, transitionArgs);
+    var router = this.router;
+    var transitionPromise;
+
+    if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+      transitionPromise = instrumentTransition(this, function() {
+        return router.transitionTo.apply(router, transitionArgs);
+      });
+    } else {
+      transitionPromise = router.transitionTo.apply(router, transitionArgs);
+    }
 
     listenForTransitionErrors(transitionPromise);
 
@@ -594,6 +666,10 @@ var defaultActionHandlers = {
   },
 
   error: function(error, transition, originRoute) {
+    if (Ember.FEATURES.isEnabled('error-reporter')) {
+      reportRouteError(originRoute.router, error);
+    }
+
     // Attempt to find an appropriate error substate to enter.
     var router = originRoute.router;
 
@@ -645,6 +721,72 @@ var defaultActionHandlers = {
   }
 };
 
+if (Ember.FEATURES.isEnabled('error-reporter')) {
+  // The error service of the application the router belongs to, if any
+  var errorService = function(router) {
+    return router.container && router.container.lookup('service:errors');
+  };
+
+  // Records what the user did, so that it can be reported along with errors
+  var leaveBreadcrumb = function(router, category, message) {
+    var errors = errorService(router);
+
+    if (errors) {
+      errors.leaveBreadcrumb(message, category);
+    }
+  };
+
+  // Route errors are only reported to the application they happened in
+  var reportRouteError = function(router, error) {
+    var errors = errorService(router);
+
+    if (errors) {
+      errors.report(error, 'route');
+    }
+  };
+}
+
+if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+  // Instruments a transition as a `router.transition` event, which ends when
+  // the transition completes or fails. Its payload is stashed on the
+  // transition, so that the routes can add the durations of their model
+  // hooks to it.
+  var instrumentTransition = function(emberRouter, startTransition) {
+    var payload;
+    var finalizer = _instrumentStart('router.transition', function() {
+      var infos = emberRouter.router.currentHandlerInfos;
+
+      payload = {
+        from: infos && infos.length ? infos[infos.length - 1].name : null,
+        to: null,
+        modelHooks: []
+      };
+
+      return payload;
+    });
+
+    var transition = startTransition();
+
+    if (!finalizer) { return transition; }
+
+    payload.to = transition.targetName;
+    payload.object = payload.from + ' -> ' + payload.to;
+    transition._instrumentation = payload;
+
+    transition.then(finalizer, function(error) {
+      if (error && error.name === 'TransitionAborted') {
+        payload.aborted = true;
+      } else {
+        payload.exception = error;
+      }
+
+      finalizer();
+    }, 'Ember: Instrument transition');
+
+    return transition;
+  };
+}
+
 function logError(error, initialMessage) {
   var errorArgs = [];
 
@@ -687,6 +829,131 @@ function routeHasBeenDefined(router, name) {
          (container.has('template:' + name) || container.has('route:' + name));
 }
 
+// Stands in for the routes whose classes live in bundles that have not been
+// loaded yet with placeholder routes. Entering a placeholder loads its bundle
+// (the router enters its loading substate meanwhile), replaces all the
+// placeholders of the bundle with the real routes and retries the transition.
+function LazyRoutes(router, DefaultRoute, didReplace) {
+  this.router = router;
+  this.container = router.container;
+  this.DefaultRoute = DefaultRoute;
+  this.didReplace = didReplace;
+  // the names of the placeholder routes of each bundle not loaded yet
+  this.placeholders = create(null);
+  this.loaded = create(null);
+}
+
+LazyRoutes.prototype = {
+  // Returns the name of the bundle the class of the route lives in, and a
+  // function loading it, if there is one
+  bundleFor: function(name) {
+    var resolver = this.container.resolver;
+    var routeName = 'route:' + name;
+    var bundleName;
+
+    if (Ember.FEATURES.isEnabled('routing-lazy-bundles')) {
+      var lazyBundles = this.router.router.lazyBundles;
+      bundleName = lazyBundles && lazyBundles[name];
+
+      if (bundleName) {
+        return {
+          name: bundleName,
+          load: function() {
+            return resolver.loadBundle(bundleName);
+          }
+        };
+      }
+    }
+
+    if (Ember.FEATURES.isEnabled('container-lookup-async')) {
+      bundleName = resolver && resolver.bundleFor && resolver.bundleFor(routeName);
+
+      if (bundleName) {
+        return {
+          name: bundleName,
+          load: function() {
+            return resolver.resolveAsync(routeName);
+          }
+        };
+      }
+    }
+  },
+
+  // Returns a placeholder for the route if its class lives in a bundle that
+  // has not been loaded yet
+  placeholderFor: function(name) {
+    var bundle = this.bundleFor(name);
+    var lazyRoutes = this;
+
+    if (!bundle || this.loaded[bundle.name]) { return; }
+
+    var names = this.placeholders[bundle.name] || (this.placeholders[bundle.name] = []);
+    names.push(name);
+
+    this.container.register('route:' + name, this.DefaultRoute.extend({
+      beforeModel: function(transition) {
+        return bundle.load().then(function() {
+          lazyRoutes.didLoad(bundle.name);
+          transition.retry();
+        });
+      }
+    }));
+
+    return this.container.lookup('route:' + name);
+  },
+
+  didLoad: function(bundleName) {
+    var names = this.placeholders[bundleName] || [];
+
+    this.loaded[bundleName] = true;
+    delete this.placeholders[bundleName];
+
+    for (var i = 0, l = names.length; i < l; i++) {
+      var routeName = 'route:' + names[i];
+      var placeholder = this.container.cache[this.container.normalize(routeName)];
+
+      if (placeholder) {
+        placeholder.destroy();
+      }
+
+      this.container.unregister(routeName);
+      this.didReplace(names[i]);
+    }
+  }
+};
+
+function createRouterJs() {
+  var router = new Router();
+
+  if (Ember.FEATURES.isEnabled("ember-routing-will-change-hooks")) {
+    router._willChangeContextEvent = 'willChangeModel';
+  } else {
+    router._triggerWillChangeContext = Ember.K;
+    router._triggerWillLeave = Ember.K;
+  }
+
+  router.callbacks = [];
+  router.triggerEvent = triggerEvent;
+
+  return router;
+}
+
+function mapRouterJs(router, callbacks) {
+  var dsl = EmberRouterDSL.map(function() {
+    this.resource('application', { path: "/" }, function() {
+      for (var i=0; i < callbacks.length; i++) {
+        callbacks[i].call(this);
+      }
+    });
+  });
+
+  router.map(dsl.generate());
+
+  if (Ember.FEATURES.isEnabled('routing-lazy-bundles')) {
+    router.lazyBundles = dsl.bundles;
+  }
+}
+
 function triggerEvent(handlerInfos, ignoreFailure, args) {
   var name = args.shift();
 
@@ -781,37 +1048,35 @@ EmberRouter.reopenClass({
     For more detailed examples please see
     [the guides](http://emberjs.com/guides/routing/defining-your-routes/).
 
+    A route or resource, and the routes nested in it, can live in a bundle
+    that is only loaded the first time a transition enters them. The bundle
+    is named with the `lazy` option:
+
+    ```javascript
+    App.Router.map(function() {
+      this.resource('admin', { lazy: 'admin-bundle' }, function() {
+        this.route('users');
+      });
+    });
+    ```
+
+    The bundle is loaded by the resolver of the application (see
+    `Ember.DefaultResolver#loadBundle`) while the router shows the `loading`
+    substate, and should define the routes, controllers and templates of the
+    subtree.
+
     @method map
     @param callback
   */
   map: function(callback) {
     var router = this.router;
     if (!router) {
-      router = new Router();
-
-      if (Ember.FEATURES.isEnabled("ember-routing-will-change-hooks")) {
-        router._willChangeContextEvent = 'willChangeModel';
-      } else {
-        router._triggerWillChangeContext = Ember.K;
-        router._triggerWillLeave = Ember.K;
-      }
-
-      router.callbacks = [];
-      router.triggerEvent = triggerEvent;
+      router = createRouterJs();
       this.reopenClass({ router: router });
     }
 
-    var dsl = EmberRouterDSL.map(function() {
-      this.resource('application', { path: "/" }, function() {
-        for (var i=0; i < router.callbacks.length; i++) {
-          router.callbacks[i].call(this);
-        }
-        callback.call(this);
-      });
-    });
-
+    mapRouterJs(router, router.callbacks.concat(callback));
     router.callbacks.push(callback);
-    router.map(dsl.generate());
     return router;
   },
 
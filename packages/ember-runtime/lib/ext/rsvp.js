@@ -3,6 +3,7 @@
 import Ember from 'ember-metal/core';
 import Logger from 'ember-metal/logger';
 import run from "ember-metal/run_loop";
+import { reportError } from "ember-metal/error_reporting";
 
 // this is technically incorrect (per @wycats)
 // it should be `import * as RSVP from 'rsvp';` but
@@ -43,6 +44,10 @@ RSVP.Promise.prototype.fail = function(callback, label){
 
 RSVP.onerrorDefault = function (error) {
   if (error instanceof Error) {
+    if (Ember.FEATURES.isEnabled('error-reporter')) {
+      reportError(error, 'promise');
+    }
+
     if (Ember.testing) {
       // ES6TODO: remove when possible
       if (!Test && Ember.__loader.registry[testModuleName]) {
@@ -0,0 +1,140 @@
+import Ember from 'ember-metal/core';
+import run from 'ember-metal/run_loop';
+import RSVP from 'ember-runtime/ext/rsvp';
+
+/**
+@module ember
+@submodule ember-runtime
+*/
+
+if (Ember.FEATURES.isEnabled('run-idle-and-chunk')) {
+  /**
+    The reason a promise returned by `run.chunk` is rejected with when it
+    is cancelled. It isn't an `Error`, so that cancelling the work is not
+    reported as an error. Callers that cancel the work must still `catch`
+    this rejection, like any other, or it is reported as unhandled.
+
+    @private
+    @class ChunkCancelled
+    @namespace Ember.run
+  */
+  var ChunkCancelled = function(processed) {
+    this.name = 'ChunkCancelled';
+    this.message = 'The chunked work was cancelled';
+    this.processed = processed;
+  };
+
+  /**
+    Calls `fn` with each item of the array, its index and the array, in
+    slices that each run in their own run loop, so that processing a large
+    array doesn't freeze the UI.
+
+    ```javascript
+    var promise = run.chunk(rows, function(row) {
+      store.push('contact', row);
+    }, { budgetMs: 10 });
+
+    promise.then(function() {
+      // all the rows were imported
+    });
+
+    // stops the import, and rejects the promise
+    promise.cancel();
+
+    promise['catch'](function(reason) {
+      if (reason instanceof Ember.run.ChunkCancelled) {
+        // the import was cancelled after `reason.processed` rows
+      }
+    });
+    ```
+
+    Only the promise returned by `run.chunk` has a `cancel` method, the
+    promises derived from it with `then` or `catch` don't, so keep a
+    reference to it to be able to cancel the work.
+
+    The slices are scheduled with `run.later`, so the test helpers wait for
+    the work to be done.
+
+    @method chunk
+    @for Ember.run
+    @param {Array} array the items to process
+    @param {Function} fn called with each item, its index and the array
+    @param {Object} [options]
+      @param {Number} [options.size] the maximum number of items processed by
+        a slice. Defaults to 100, or to no limit if `budgetMs` is given.
+      @param {Number} [options.budgetMs] the number of milliseconds after
+        which a slice stops processing items
+    @return {Ember.RSVP.Promise} a promise resolved with the values returned
+      by `fn` once every item is processed, or rejected with the error `fn`
+      throws. Its `cancel` method stops the processing and rejects it with
+      an `Ember.run.ChunkCancelled`.
+  */
+  run.chunk = function(array, fn, options) {
+    options = options || {};
+
+    var budget = options.budgetMs;
+    var size = options.size || (budget === undefined ? 100 : Infinity);
+    var results = new Array(array.length);
+    var index = 0;
+    var finished = false;
+    var timer, resolveChunk, rejectChunk;
+
+    var promise = new RSVP.Promise(function(resolve, reject) {
+      resolveChunk = resolve;
+      rejectChunk = reject;
+    }, 'Ember: run.chunk');
+
+    var finish = function(settle, value) {
+      finished = true;
+      timer = null;
+      settle(value);
+    };
+
+    var processSlice = function() {
+      var start = +new Date();
+      var end = Math.min(index + size, array.length);
+      var current;
+
+      timer = null;
+
+      try {
+        // At least one item is processed by each slice
+        do {
+          current = index++;
+          results[current] = fn(array[current], current, array);
+        } while (!finished && index < end && (budget === undefined || +new Date() - start < budget));
+      } catch (error) {
+        finish(rejectChunk, error);
+        return;
+      }
+
+      if (finished) { return; }
+
+      if (index < array.length) {
+        timer = run.later(processSlice, 0);
+      } else {
+        finish(resolveChunk, results);
+      }
+    };
+
+    promise.cancel = function() {
+      if (finished) { return; }
+
+      if (timer) {
+        run.cancel(timer);
+      }
+
+      finish(rejectChunk, new ChunkCancelled(index));
+    };
+
+    if (array.length) {
+      timer = run.later(processSlice, 0);
+    } else {
+      finish(resolveChunk, results);
+    }
+
+    return promise;
+  };
+
+  run.ChunkCancelled = ChunkCancelled;
+}
@@ -91,6 +91,7 @@ import Service from 'ember-runtime/system/service';
 import RSVP from 'ember-runtime/ext/rsvp';     // just for side effect of extending Ember.RSVP
 import 'ember-runtime/ext/string';   // just for side effect of extending String.prototype
 import 'ember-runtime/ext/function'; // just for side effect of extending Function.prototype
+import 'ember-runtime/ext/run_loop'; // just for side effect of extending Ember.run
 // END IMPORTS
 
 // BEGIN EXPORTS
@@ -1,6 +1,61 @@
+import Ember from "ember-metal/core"; // Ember.FEATURES
 import { set } from "ember-metal/property_set";
 import Container from "container";
+import RSVP from "ember-runtime/ext/rsvp";
 
 Container.set = set;
 
+if (Ember.FEATURES.isEnabled('container-lookup-async')) {
+  /**
+    Asynchronous version of `lookup`. If the container's resolver
+    implements `resolveAsync`, it is given the chance to load the
+    factory (for example by fetching the module bundle that defines
+    it) before the instance is looked up.
+
+    ```javascript
+    container.lookupAsync('route:admin').then(function(route) {
+      // the bundle defining `route:admin` has been loaded
+    });
+    ```
+
+    @method lookupAsync
+    @param {String} fullName
+    @param {Object} options
+    @return {RSVP.Promise} a promise resolving to the looked up instance
+  */
+  Container.prototype.lookupAsync = function(fullName, options) {
+    var container = this;
+
+    return this.resolveAsync(fullName).then(function() {
+      return container.lookup(fullName, options);
+    }, null, 'Ember.Container: lookupAsync ' + fullName);
+  };
+
+  /**
+    Asynchronous version of `resolve`. Resolves to the factory for
+    `fullName` once the resolver had the chance to load it, or to
+    `undefined` if it could not be found.
+
+    @method resolveAsync
+    @param {String} fullName
+    @return {RSVP.Promise} a promise resolving to the factory
+  */
+  Container.prototype.resolveAsync = function(fullName) {
+    var container = this;
+    var normalizedName = this.normalize(fullName);
+    var resolver = this.resolver;
+    var promise;
+
+    if (resolver && typeof resolver.resolveAsync === 'function' && !this.registry[normalizedName]) {
+      promise = RSVP.resolve(resolver.resolveAsync(normalizedName));
+    } else {
+      promise = RSVP.resolve();
+    }
+
+    return promise.then(function() {
+      return container.resolve(normalizedName);
+    }, null, 'Ember.Container: resolveAsync ' + fullName);
+  };
+}
+
 export default Container;
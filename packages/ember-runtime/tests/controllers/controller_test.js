@@ -203,6 +203,23 @@ if (Ember.FEATURES.isEnabled('ember-metal-injected-properties')) {
     equal(postsController, postController.get('postsController'), "controller.posts is injected");
   });
 
+  if (Ember.FEATURES.isEnabled('container-namespaced-lookups')) {
+    test("controllers from other namespaces can be injected into controllers", function() {
+      var container = new Container();
+
+      container.register('controller:users', Controller.extend({
+        adminUsersController: inject.controller('admin@users')
+      }));
+
+      container.register('admin@controller:users', Controller.extend());
+
+      var usersController = container.lookup('controller:users');
+      var adminUsersController = container.lookup('admin@controller:users');
+
+      equal(adminUsersController, usersController.get('adminUsersController'), "admin@controller:users is injected");
+    });
+  }
+
   test("services can be injected into controllers", function() {
     var container = new Container();
 
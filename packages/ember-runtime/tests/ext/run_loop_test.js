@@ -0,0 +1,95 @@
+import run from "ember-metal/run_loop";
+
+QUnit.module('Ember.run.chunk', {
+  teardown: function() {
+    run.cancelTimers();
+  }
+});
+
+if (Ember.FEATURES.isEnabled('run-idle-and-chunk')) {
+  asyncTest('processes the array in slices across run loops', function() {
+    var array = [1, 2, 3, 4, 5];
+    var runLoops = [];
+
+    var promise = run.chunk(array, function(item, index, items) {
+      strictEqual(items, array, 'the array is passed');
+      equal(index, item - 1, 'the index is passed');
+
+      if (runLoops[runLoops.length - 1] !== run.currentRunLoop) {
+        runLoops.push(run.currentRunLoop);
+      }
+
+      return item * 2;
+    }, { size: 2 });
+
+    equal(runLoops.length, 0, 'no item is processed synchronously');
+    ok(run.hasScheduledTimers(), 'the slices count as scheduled timers');
+
+    promise.then(function(results) {
+      QUnit.start();
+      deepEqual(results, [2, 4, 6, 8, 10], 'resolves with the values returned by the function');
+      equal(runLoops.length, 3, 'each slice runs in its own run loop');
+    });
+  });
+
+  asyncTest('a slice stops processing items once its budget is spent', function() {
+    var slices = 0;
+    var runLoop;
+
+    run.chunk([1, 2, 3], function() {
+      var start = Date.now();
+
+      if (runLoop !== run.currentRunLoop) {
+        runLoop = run.currentRunLoop;
+        slices++;
+      }
+
+      while (Date.now() - start < 5) { }
+    }, { budgetMs: 1 }).then(function() {
+      QUnit.start();
+      equal(slices, 3, 'each item is processed in its own slice');
+    });
+  });
+
+  asyncTest('the promise is rejected with the error thrown by the function', function() {
+    var processed = [];
+
+    run.chunk([1, 2, 3], function(item) {
+      processed.push(item);
+
+      if (item === 2) {
+        throw new Error('invalid item');
+      }
+    }, { size: 1 }).then(null, function(error) {
+      QUnit.start();
+      equal(error.message, 'invalid item');
+      deepEqual(processed, [1, 2], 'the processing stops');
+    });
+  });
+
+  asyncTest('the processing can be cancelled', function() {
+    var processed = [];
+
+    var promise = run.chunk([1, 2, 3], function(item) {
+      processed.push(item);
+
+      if (item === 2) {
+        promise.cancel();
+      }
+    }, { size: 1 });
+
+    promise.then(null, function(reason) {
+      QUnit.start();
+      ok(reason instanceof run.ChunkCancelled, 'the promise is rejected when cancelled');
+      equal(reason.processed, 2, 'the reason has the number of items processed');
+      deepEqual(processed, [1, 2], 'the processing stops');
+      ok(!run.hasScheduledTimers(), 'no slice is scheduled anymore');
+    });
+  });
+
+  test('an empty array resolves the promise without scheduling slices', function() {
+    run.chunk([], function() {});
+
+    ok(!run.hasScheduledTimers(), 'no slice is scheduled');
+  });
+}
@@ -7,6 +7,7 @@ import {
 } from "ember-runtime/inject";
 import Container from "ember-runtime/system/container";
 import Object from "ember-runtime/system/object";
+import run from "ember-metal/run_loop";
 
 if (Ember.FEATURES.isEnabled('ember-metal-injected-properties')) {
   QUnit.module('inject');
@@ -60,3 +61,69 @@ if (Ember.FEATURES.isEnabled('ember-metal-injected-properties')) {
     deepEqual(AnObject.lazyInjections(), { 'foo': 'foo:bar', 'bar': 'quux:bar' }, "should return injected container keys");
   });
 }
+
+if (Ember.FEATURES.isEnabled('container-lazy-injections')) {
+  var container, lookups;
+
+  QUnit.module('lazy container injections', {
+    setup: function() {
+      container = new Container();
+      lookups = [];
+
+      var Service = Object.extend({
+        init: function() {
+          this._super();
+          lookups.push(this._debugContainerKey);
+        }
+      });
+
+      container.register('service:a', Service.extend());
+      container.register('service:b', Service.extend());
+    },
+
+    teardown: function() {
+      run(container, 'destroy');
+    }
+  });
+
+  test("a lazy injection is looked up on first get and then cached", function() {
+    container.injection('service:a', 'b', 'service:b', { lazy: true });
+
+    var a = container.lookup('service:a');
+
+    deepEqual(lookups, ['service:a'], 'the injection is not looked up at instantiation');
+
+    var b = a.get('b');
+
+    equal(b, container.lookup('service:b'), 'the injection is looked up on first get');
+    equal(a.get('b'), b, 'the injection is cached');
+    deepEqual(lookups, ['service:a', 'service:b'], 'the injection is only instantiated once');
+  });
+
+  test("a lazy type injection is looked up on first get", function() {
+    container.register('controller:post', Object.extend());
+    container.injection('controller', 'a', 'service:a', { lazy: true });
+
+    var controller = container.lookup('controller:post');
+
+    deepEqual(lookups, [], 'the injection is not looked up at instantiation');
+    equal(controller.get('a'), container.lookup('service:a'), 'the injection is looked up on first get');
+  });
+
+  test("lazy injections allow objects to inject each other", function() {
+    container.injection('service:a', 'b', 'service:b', { lazy: true });
+    container.injection('service:b', 'a', 'service:a');
+
+    var a = container.lookup('service:a');
+
+    equal(a.get('b.a'), a, 'both objects are injected with each other');
+  });
+
+  test("lazy injections are still validated at instantiation", function() {
+    container.injection('service:a', 'missing', 'service:missing', { lazy: true });
+
+    throws(function() {
+      container.lookup('service:a');
+    }, /Attempting to inject an unknown injection: `service:missing`/);
+  });
+}
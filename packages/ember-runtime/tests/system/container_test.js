@@ -0,0 +1,95 @@
+import Container from "ember-runtime/system/container";
+import EmberObject from "ember-runtime/system/object";
+import RSVP from "ember-runtime/ext/rsvp";
+import run from "ember-metal/run_loop";
+
+if (Ember.FEATURES.isEnabled('container-lookup-async')) {
+  var container, Post;
+
+  QUnit.module("Container#lookupAsync", {
+    setup: function() {
+      container = new Container();
+      Post = EmberObject.extend();
+    },
+
+    teardown: function() {
+      run(container, 'destroy');
+    }
+  });
+
+  test("resolves registered factories without a resolver", function() {
+    expect(2);
+
+    container.register('model:post', Post);
+
+    run(function() {
+      container.lookupAsync('model:post').then(function(post) {
+        ok(post instanceof Post, "the registered factory is instantiated");
+        equal(container.lookup('model:post'), post, "the instance is cached");
+      });
+    });
+  });
+
+  test("gives the resolver the chance to load factories asynchronously", function() {
+    expect(3);
+
+    var resolved = [];
+    var loaded = false;
+
+    container.resolver = function(fullName) {
+      if (loaded && fullName === 'model:post') { return Post; }
+    };
+
+    container.resolver.resolveAsync = function(fullName) {
+      resolved.push(fullName);
+      return new RSVP.Promise(function(resolve) {
+        loaded = true;
+        resolve();
+      });
+    };
+
+    run(function() {
+      container.lookupAsync('model:post').then(function(post) {
+        ok(post instanceof Post, "the lazily resolved factory is instantiated");
+      });
+
+      container.lookupAsync('model:missing').then(function(missing) {
+        equal(missing, undefined, "unresolvable names resolve to undefined");
+      });
+    });
+
+    deepEqual(resolved, ['model:post', 'model:missing']);
+  });
+
+  test("does not consult the resolver for registered factories", function() {
+    expect(1);
+
+    container.resolver = function() {};
+    container.resolver.resolveAsync = function(fullName) {
+      ok(false, "resolveAsync should not be called for " + fullName);
+    };
+
+    container.register('model:post', Post);
+
+    run(function() {
+      container.resolveAsync('model:post').then(function(factory) {
+        equal(factory, Post);
+      });
+    });
+  });
+
+  test("rejects when the resolver fails to load the factory", function() {
+    expect(1);
+
+    container.resolver = function() {};
+    container.resolver.resolveAsync = function() {
+      return RSVP.reject(new Error('bundle not found'));
+    };
+
+    run(function() {
+      container.lookupAsync('model:post').then(null, function(error) {
+        equal(error.message, 'bundle not found');
+      });
+    });
+  });
+}
@@ -8,6 +8,7 @@ import { get } from "ember-metal/property_get";
 import { set } from "ember-metal/property_set";
 import { isNone } from 'ember-metal/is_none';
 import run from "ember-metal/run_loop";
+import { _instrumentStart } from "ember-metal/instrumentation";
 import { typeOf } from "ember-metal/utils";
 import { fmt } from "ember-runtime/system/string";
 import EmberObject from "ember-runtime/system/object";
@@ -19,6 +20,51 @@ import merge from "ember-metal/merge";
 //ES6TODO:
 // find a better way to do Ember.View.views without global state
 
+// Instruments the handling of a browser event as a single
+// `interaction.<event>` event. jQuery calls a delegated handler once for
+// every matching ancestor of the target, so the interaction is started by
+// the first of them and kept on the jQuery event until propagation stops or
+// the event reaches the root element, where `endInteraction` closes it.
+function instrumentInteraction(eventName, handler) {
+  return function(evt) {
+    var element = this;
+
+    if (evt._emberInteraction === undefined) {
+      evt._emberInteraction = _instrumentStart('interaction.' + eventName, function() {
+        return { event: eventName, object: element.id || element.tagName };
+      }, true) || null;
+    }
+
+    if (!evt._emberInteraction) {
+      return handler.apply(element, arguments);
+    }
+
+    var result;
+
+    try {
+      result = handler.apply(element, arguments);
+    } catch (error) {
+      endInteraction(evt);
+      throw error;
+    }
+
+    if (result === false || evt.isPropagationStopped()) {
+      endInteraction(evt);
+    }
+
+    return result;
+  };
+}
+
+function endInteraction(evt) {
+  var finalizer = evt._emberInteraction;
+
+  if (finalizer) {
+    evt._emberInteraction = null;
+    finalizer();
+  }
+}
+
 /**
   `Ember.EventDispatcher` handles delegating browser events to their
   corresponding `Ember.Views.` For example, when you click on a view,
@@ -173,7 +219,7 @@ export default EmberObject.extend({
   setupHandler: function(rootElement, event, eventName) {
     var self = this;
 
-    rootElement.on(event + '.ember', '.ember-view', function(evt, triggeringManager) {
+    var viewHandler = function(evt, triggeringManager) {
       var view = View.views[this.id];
       var result = true;
 
@@ -186,9 +232,9 @@ export default EmberObject.extend({
       }
 
       return result;
-    });
+    };
 
-    rootElement.on(event + '.ember', '[data-ember-action]', function(evt) {
+    var actionHandler = function(evt) {
       var actionId = jQuery(evt.currentTarget).attr('data-ember-action');
       var action   = ActionManager.registeredActions[actionId];
 
@@ -198,7 +244,21 @@ export default EmberObject.extend({
       if (action && action.eventName === eventName) {
         return action.handler(evt);
       }
-    });
+    };
+
+    if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+      viewHandler = instrumentInteraction(eventName, viewHandler);
+      actionHandler = instrumentInteraction(eventName, actionHandler);
+    }
+
+    rootElement.on(event + '.ember', '.ember-view', viewHandler);
+    rootElement.on(event + '.ember', '[data-ember-action]', actionHandler);
+
+    if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+      // jQuery runs the handlers bound directly to the root element after
+      // the delegated ones.
+      rootElement.on(event + '.ember', endInteraction);
+    }
   },
 
   _findNearestEventManager: function(view, eventName) {
@@ -92,7 +92,7 @@ Renderer.prototype.willCreateElement = function (view) {
       var details = {};
       view.instrumentDetails(details);
       return details;
-    });
+    }, true);
   }
   if (view._transitionTo) {
     view._transitionTo('inBuffer');
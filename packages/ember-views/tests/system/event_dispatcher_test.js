@@ -8,6 +8,10 @@ import jQuery from "ember-views/system/jquery";
 import View from "ember-views/views/view";
 import EventDispatcher from "ember-views/system/event_dispatcher";
 import ContainerView from "ember-views/views/container_view";
+import {
+  subscribe,
+  reset
+} from "ember-metal/instrumentation";
 
 var view;
 var dispatcher;
@@ -332,6 +336,85 @@ if (Ember.FEATURES.isEnabled("event-dispatcher-can-disable-event-manager")) {
 
 }
 
+if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+  test("handling an event is instrumented as an interaction", function() {
+    var events = [];
+
+    subscribe('interaction', {
+      before: function(name, timestamp, payload) {
+        events.push('before ' + name + ' ' + payload.event);
+      },
+      after: function(name) {
+        events.push('after ' + name);
+      }
+    });
+
+    view = View.createWithMixins({
+      elementId: 'interactive',
+
+      click: function() {
+        events.push('click');
+        return false;
+      }
+    });
+
+    run(function() {
+      view.appendTo('#qunit-fixture');
+    });
+
+    view.$().trigger('click');
+
+    deepEqual(events, ['before interaction.click click', 'click', 'after interaction.click']);
+
+    reset();
+  });
+
+  test("an event handled by nested views is instrumented as one interaction", function() {
+    var events = [];
+
+    subscribe('interaction', {
+      before: function(name, timestamp, payload) {
+        events.push('before ' + name + ' ' + payload.object);
+      },
+      after: function(name) {
+        events.push('after ' + name);
+      }
+    });
+
+    view = ContainerView.createWithMixins({
+      elementId: 'outer',
+      childViews: ['child'],
+
+      child: View.extend({
+        elementId: 'inner',
+
+        click: function() {
+          events.push('inner click');
+        }
+      }),
+
+      click: function() {
+        events.push('outer click');
+      }
+    });
+
+    run(function() {
+      view.appendTo('#qunit-fixture');
+    });
+
+    jQuery('#inner').trigger('click');
+
+    deepEqual(events, [
+      'before interaction.click inner',
+      'inner click',
+      'outer click',
+      'after interaction.click'
+    ]);
+
+    reset();
+  });
+}
+
 QUnit.module("EventDispatcher#setup", {
   setup: function() {
     run(function() {
@@ -0,0 +1,125 @@
+import "ember";
+
+var App, router, container, transitions;
+var compile = Ember.Handlebars.compile;
+
+function bootApplication() {
+  router = container.lookup('router:main');
+  Ember.run(App, 'advanceReadiness');
+}
+
+QUnit.module("Routing instrumentation", {
+  setup: function() {
+    transitions = [];
+
+    Ember.run(function() {
+      App = Ember.Application.create({
+        name: "App",
+        rootElement: '#qunit-fixture'
+      });
+
+      App.deferReadiness();
+
+      App.Router.reopen({
+        location: 'none'
+      });
+
+      App.Router.map(function() {
+        this.route('posts');
+        this.route('about');
+      });
+
+      container = App.__container__;
+
+      Ember.TEMPLATES.application = compile('{{outlet}}');
+    });
+
+    Ember.subscribe('router.transition', {
+      before: function(name, timestamp, payload) {
+        payload.finished = false;
+        transitions.push(payload);
+      },
+      after: function(name, timestamp, payload) {
+        payload.finished = true;
+      }
+    });
+  },
+
+  teardown: function() {
+    Ember.run(function() {
+      App.destroy();
+      App = null;
+
+      Ember.TEMPLATES = {};
+    });
+
+    Ember.Instrumentation.reset();
+  }
+});
+
+if (Ember.FEATURES.isEnabled('instrumentation-events')) {
+  test("a transition is instrumented until it completes, with the durations of the model hooks", function() {
+    var postsDeferred = Ember.RSVP.defer();
+
+    App.PostsRoute = Ember.Route.extend({
+      beforeModel: function() {},
+      model: function() {
+        return postsDeferred.promise;
+      }
+    });
+
+    bootApplication();
+
+    equal(transitions.length, 1, "the initial transition is instrumented");
+    equal(transitions[0].from, null, "the initial transition comes from no route");
+    equal(transitions[0].to, 'index');
+    ok(transitions[0].finished, "the initial transition has completed");
+
+    Ember.run(router, 'transitionTo', 'posts');
+
+    var payload = transitions[1];
+
+    equal(payload.from, 'index');
+    equal(payload.to, 'posts');
+    ok(!payload.finished, "the transition isn't finished while the model is resolving");
+
+    Ember.run(postsDeferred, 'resolve', {});
+
+    ok(payload.finished, "the transition is finished once the model has resolved");
+
+    var hooks = Ember.EnumerableUtils.filter(payload.modelHooks, function(hook) {
+      return hook.route === 'posts';
+    });
+
+    deepEqual(Ember.EnumerableUtils.map(hooks, function(hook) {
+      return hook.hook;
+    }), ['beforeModel', 'model', 'afterModel'], "the model hooks of the route are timed");
+
+    for (var i = 0; i < hooks.length; i++) {
+      ok(hooks[i].duration >= 0, "the duration of " + hooks[i].hook + " is recorded");
+    }
+  });
+
+  test("an aborted transition is instrumented", function() {
+    App.PostsRoute = Ember.Route.extend({
+      beforeModel: function() {
+        this.transitionTo('about');
+      }
+    });
+
+    bootApplication();
+
+    Ember.run(router, 'transitionTo', 'posts');
+
+    var posts = transitions[1];
+    var about = transitions[2];
+
+    equal(posts.to, 'posts');
+    ok(posts.aborted, "the transition is marked as aborted");
+    ok(posts.finished, "the aborted transition is finished");
+
+    equal(about.to, 'about');
+    ok(!about.aborted, "the redirection is not aborted");
+    ok(about.finished, "the redirection is finished");
+  });
+}
@@ -709,3 +709,186 @@ if (Ember.FEATURES.isEnabled("ember-routing-named-substates")) {
     equal(Ember.$('#app', '#qunit-fixture').text(), "INDEX");
   });
 }
+
+if (Ember.FEATURES.isEnabled('container-lookup-async')) {
+  var bundleDeferred;
+
+  QUnit.module("Lazily loaded routes", {
+    setup: function() {
+      counter = 1;
+      bundleDeferred = Ember.RSVP.defer();
+
+      Ember.run(function() {
+        App = Ember.Application.create({
+          name: "App",
+          rootElement: '#qunit-fixture',
+          Resolver: Ember.DefaultResolver.extend({
+            bundleFor: function(parsedName) {
+              if (parsedName.fullName === 'route:admin') { return 'admin-bundle'; }
+            },
+
+            loadBundle: function(bundleName) {
+              step(2, "Loads " + bundleName);
+              return bundleDeferred.promise;
+            }
+          })
+        });
+
+        App.deferReadiness();
+
+        App.Router.reopen({
+          location: 'none'
+        });
+
+        Router = App.Router;
+
+        container = App.__container__;
+
+        templates = {
+          application: '<div id="app">{{outlet}}</div>',
+          index: 'INDEX',
+          loading: 'LOADING',
+          admin: 'ADMIN {{model.name}}'
+        };
+      });
+    },
+
+    teardown: function() {
+      Ember.run(function() {
+        App.destroy();
+        App = null;
+
+        Ember.TEMPLATES = {};
+      });
+
+      delete Ember.__loader.registry['admin-bundle/routes/admin'];
+    }
+  });
+
+  test("Route handlers are loaded from their bundle while the loading substate is shown", function() {
+    expect(6);
+
+    Router.map(function() {
+      this.route('admin');
+    });
+
+    bootApplication();
+
+    step(1, "Transitions into admin");
+    Ember.run(router, 'transitionTo', 'admin');
+
+    equal(Ember.$('#app', '#qunit-fixture').text(), "LOADING", "The loading substate is entered while the bundle loads");
+
+    Ember.__loader.define('admin-bundle/routes/admin', [], function() {
+      App.AdminRoute = Ember.Route.extend({
+        model: function() {
+          step(3, "The lazily loaded route's model hook is called");
+          return { name: 'lazy' };
+        }
+      });
+    });
+
+    Ember.run(bundleDeferred, 'resolve');
+
+    equal(Ember.$('#app', '#qunit-fixture').text(), "ADMIN lazy", "The lazily loaded route is entered");
+    ok(container.lookup('route:admin') instanceof App.AdminRoute, "The placeholder route has been replaced");
+  });
+}
+
+if (Ember.FEATURES.isEnabled('routing-lazy-bundles')) {
+  var bundleLoads, adminBundleDeferred;
+
+  QUnit.module("Lazily loaded route bundles", {
+    setup: function() {
+      counter = 1;
+      bundleLoads = 0;
+      adminBundleDeferred = Ember.RSVP.defer();
+
+      Ember.run(function() {
+        App = Ember.Application.create({
+          name: "App",
+          rootElement: '#qunit-fixture',
+          Resolver: Ember.DefaultResolver.extend({
+            loadBundle: function(bundleName) {
+              bundleLoads++;
+              step(2, "Loads " + bundleName);
+              return adminBundleDeferred.promise;
+            }
+          })
+        });
+
+        App.deferReadiness();
+
+        App.Router.reopen({
+          location: 'none'
+        });
+
+        Router = App.Router;
+
+        container = App.__container__;
+
+        templates = {
+          application: '<div id="app">{{outlet}}</div>',
+          index: 'INDEX',
+          loading: 'LOADING'
+        };
+      });
+
+      Router.map(function() {
+        this.resource('admin', { lazy: 'admin-bundle' }, function() {
+          this.route('users');
+        });
+      });
+    },
+
+    teardown: function() {
+      Ember.run(function() {
+        App.destroy();
+        App = null;
+
+        Ember.TEMPLATES = {};
+      });
+
+      delete Ember.__loader.registry['admin-bundle'];
+    }
+  });
+
+  test("The routes of a lazy subtree are loaded from their bundle while the loading substate is shown", function() {
+    expect(8);
+
+    bootApplication();
+
+    step(1, "Transitions into admin.users");
+    Ember.run(router, 'transitionTo', 'admin.users');
+
+    equal(Ember.$('#app', '#qunit-fixture').text(), "LOADING", "The loading substate is entered while the bundle loads");
+
+    var placeholder = container.lookup('route:admin.users');
+
+    Ember.__loader.define('admin-bundle', [], function() {
+      Ember.TEMPLATES.admin = compile('ADMIN {{outlet}}');
+      Ember.TEMPLATES['admin/users'] = compile('USERS {{model.count}}');
+
+      App.AdminUsersRoute = Ember.Route.extend({
+        model: function() {
+          step(3, "The lazily loaded route's model hook is called");
+          return { count: 2 };
+        }
+      });
+    });
+
+    Ember.run(adminBundleDeferred, 'resolve');
+
+    equal(Ember.$('#app', '#qunit-fixture').text(), "ADMIN USERS 2", "The lazily loaded routes are entered");
+    ok(container.lookup('route:admin.users') instanceof App.AdminUsersRoute, "The placeholder routes have been replaced");
+    ok(placeholder.isDestroyed, "The placeholder routes have been destroyed");
+    equal(bundleLoads, 1, "The bundle is loaded once");
+  });
+
+  test("Routes outside of the lazy subtree don't load the bundle", function() {
+    bootApplication();
+
+    equal(Ember.$('#app', '#qunit-fixture').text(), "INDEX");
+    equal(bundleLoads, 0, "The bundle is not loaded");
+  });
+}